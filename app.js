@@ -3,6 +3,19 @@
  * メインアプリケーションロジック
  */
 
+// 既定のファイル名形式: 番号_部品名_重量_単位_素材ID_加工ID_実施者ID_写真区分_特記事項
+const DEFAULT_FILENAME_TEMPLATE = '{number}_{part}_{weight}_{unit}_{materialId}_{processingId}_{implementerId}_{photoType}_{notes}';
+const SETTINGS_STORAGE_KEY = 'imageRenamerLCA.settings';
+// 列構成ごとに記憶した「列の対応」
+const HEADER_MAPPINGS_STORAGE_KEY = 'imageRenamerLCA.headerMappings';
+const SETTINGS_SHEET_KEYWORDS = ['設定', 'setting'];
+// 既定の重量の書式（weightUnit: そろえる単位、weightDecimals: 小数点以下の桁数。空文字は入力のまま）
+const DEFAULT_WEIGHT_FORMAT = { weightUnit: '', weightDecimals: '', weightTrimZeros: false };
+// 既定の出力プロファイル（original: 元のまま / resize: 長辺を縮小して再圧縮）
+const DEFAULT_OUTPUT_PROFILE = { mode: 'original', maxDimension: 1600, format: 'jpeg', quality: 85 };
+// 既定のZIPの形式（layout: フォルダ構成、compression: store / deflate、splitMb: 分割サイズ。0は分割しない）
+const DEFAULT_ZIP_OPTIONS = { layout: 'flat', compression: 'store', splitMb: 0, embedMetadata: false };
+
 // グローバル状態管理
 const AppState = {
     // マスターデータ
@@ -12,14 +25,27 @@ const AppState = {
     materialCategories: {},
     materialNameToId: {},
     
+    // 設定（ファイル名テンプレート等）
+    settings: loadSettings(),
+    
     // 画像データ
     imageFiles: [],
     currentIndex: 0,
-    processedFiles: new Map(), // originalName -> { newName, blob }
+    processedFiles: new Map(), // 識別キー（getFileKey） -> { newName, extension, blob, fields, suffix }
+    draftFields: new Map(), // 識別キー -> fields（一覧で入力途中のもの）
+    skippedFiles: new Set(), // 適用せずに次へ進んだファイル
+    excludedFiles: new Set(), // 出力から除外したファイル
+    imageEdits: new Map(), // 識別キー -> { rotation, straighten, crop }（出力時に適用する回転・トリミング）
+    
+    // 作業セッション（IndexedDB保存用）
+    sessionId: null,
+    sessionCreatedAt: null,
+    masterFileName: '',
     
     // UI状態
     isReady: false,
-    currentPreviewUrl: null // URL.createObjectURL の解放用
+    currentPreviewUrl: null, // URL.createObjectURL の解放用
+    pairPreviewUrl: null
 };
 
 function extractJpegBlob(result) {
@@ -32,79 +58,72 @@ function extractJpegBlob(result) {
     return new Blob([result], { type: 'image/jpeg' });
 }
 
+// 任意のHEICデコーダー（同梱版を必要になったときに読み込む）
+const HEIC2ANY_SRC = 'lib/heic2any.min.js';
+const LIBHEIF_SRC = 'lib/libheif-bundle.js';
+
+/**
+ * scriptタグでライブラリを読み込む
+ */
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const s = document.createElement('script');
+        s.src = src;
+        s.onload = resolve;
+        s.onerror = () => reject(new Error(`${src} を読み込めませんでした`));
+        document.head.appendChild(s);
+    });
+}
+
+/**
+ * heic2anyを動的にロード
+ */
+let heic2anyLoadPromise = null;
 async function ensureHeic2Any() {
     if (typeof window.heic2any === 'function') return true;
-    const cdnList = [
-        'https://unpkg.com/heic2any@0.0.4/dist/heic2any.min.js',
-        'https://cdn.jsdelivr.net/npm/heic2any@0.0.4/dist/heic2any.min.js',
-        'https://cdnjs.cloudflare.com/ajax/libs/heic2any/0.0.4/heic2any.min.js'
-    ];
-    for (const src of cdnList) {
-        try {
-            await new Promise((resolve, reject) => {
-                const s = document.createElement('script');
-                s.src = src;
-                s.onload = resolve;
-                s.onerror = reject;
-                document.head.appendChild(s);
+    if (!heic2anyLoadPromise) {
+        heic2anyLoadPromise = loadScript(HEIC2ANY_SRC)
+            .then(() => typeof window.heic2any === 'function')
+            .catch(error => {
+                console.warn('heic2any load failed:', error);
+                return false;
             });
-            if (typeof window.heic2any === 'function') return true;
-        } catch (e) {
-            console.warn('heic2any load failed from', src, e);
-        }
     }
-    return false;
+    return heic2anyLoadPromise;
 }
 
 /**
- * libheif-jsを動的にロード
+ * libheif-jsを動的にロードし、デコーダーのモジュールを返す（使えない場合はnull）
+ * 1.17以降のバンドルはファクトリ関数を公開するため、呼び出してモジュールを得る
  */
 let libheifLoadPromise = null;
 async function ensureLibheif() {
-    if (window.libheif) return true;
-    if (libheifLoadPromise) return libheifLoadPromise;
-    
-    const cdnList = [
-        'https://unpkg.com/libheif-js@1.17.1/libheif-bundle/libheif-bundle.js',
-        'https://cdn.jsdelivr.net/npm/libheif-js@1.17.1/libheif-bundle/libheif-bundle.js',
-        'https://unpkg.com/libheif-js@1.15.1/libheif-bundle/libheif-bundle.js'
-    ];
-    
-    libheifLoadPromise = (async () => {
-        for (const src of cdnList) {
+    if (!libheifLoadPromise) {
+        libheifLoadPromise = (async () => {
             try {
-                await new Promise((resolve, reject) => {
-                    const s = document.createElement('script');
-                    s.src = src;
-                    s.onload = () => setTimeout(resolve, 100); // Give time for global to be set
-                    s.onerror = reject;
-                    document.head.appendChild(s);
-                });
-                if (window.libheif) {
-                    console.log('libheif loaded from', src);
-                    return true;
-                }
-            } catch (e) {
-                console.warn('libheif load failed from', src, e);
+                if (!window.libheif) await loadScript(LIBHEIF_SRC);
+                const module = typeof window.libheif === 'function' ? window.libheif() : window.libheif;
+                if (module && module.ready) await module.ready;
+                return module && module.HeifDecoder ? module : null;
+            } catch (error) {
+                console.warn('libheif load failed:', error);
+                return null;
             }
-        }
-        return false;
-    })();
-    
+        })();
+    }
     return libheifLoadPromise;
 }
 
 /**
  * libheif-jsを使用してHEICをJPEGに変換
  */
-async function decodeHeicWithLibheif(file) {
-    if (!(await ensureLibheif())) {
+async function decodeHeicWithLibheif(file, quality = 0.9) {
+    const libheif = await ensureLibheif();
+    if (!libheif) {
         console.warn('libheif-js could not be loaded');
         return null;
     }
     
-    const libheif = window.libheif;
-    
     try {
         const buffer = await file.arrayBuffer();
         const decoder = new libheif.HeifDecoder();
@@ -135,13 +154,36 @@ async function decodeHeicWithLibheif(file) {
         });
         
         ctx.putImageData(imageData, 0, 0);
-        return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.9));
+        return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', quality));
     } catch (e) {
         console.error('libheif decode error:', e);
         throw e;
     }
 }
 
+/**
+ * HEICデコーダーが使えるか確認し、使えない場合は表示する（HEICを含む画像の読み込み時）
+ */
+async function updateDecoderIndicator() {
+    if (!AppState.imageFiles.some(isHeicFile)) {
+        updateStatus('decoderStatus', '');
+        return;
+    }
+    
+    const [heic2anyAvailable, libheif] = await Promise.all([ensureHeic2Any(), ensureLibheif()]);
+    const missing = [];
+    if (!heic2anyAvailable) missing.push('heic2any');
+    if (!libheif) missing.push('libheif-js');
+    
+    if (missing.length === 2) {
+        updateStatus('decoderStatus', '⚠️ HEICデコーダー（heic2any・libheif-js）を読み込めません。ブラウザが対応していない場合、HEICのプレビューとJPEG変換はできません（リネーム・ZIP保存は可能です）', 'error');
+    } else if (missing.length === 1) {
+        updateStatus('decoderStatus', `⚠️ HEICデコーダー ${missing[0]} を読み込めません。一部のHEICはプレビュー・変換できない場合があります`, 'info');
+    } else {
+        updateStatus('decoderStatus', '');
+    }
+}
+
 // 初期化
 document.addEventListener('DOMContentLoaded', () => {
     initializeApp();
@@ -151,10 +193,50 @@ function initializeApp() {
     // イベントリスナー設定
     document.getElementById('excelFile').addEventListener('change', handleExcelUpload);
     document.getElementById('imageFiles').addEventListener('change', handleImageUpload);
+    document.getElementById('imageFolder').addEventListener('change', handleImageUpload);
+    document.getElementById('reimportFiles').addEventListener('change', handleReimportUpload);
     document.getElementById('materialCategorySelect').addEventListener('change', handleMaterialCategoryChange);
     document.getElementById('prevButton').addEventListener('click', navigatePrevious);
     document.getElementById('applyButton').addEventListener('click', applyAndNext);
     document.getElementById('downloadButton').addEventListener('click', downloadZip);
+    document.getElementById('manageSessionsButton').addEventListener('click', openSessionManager);
+    document.getElementById('pairModeCheckbox').checked = AppState.settings.pairMode;
+    document.getElementById('pairModeCheckbox').addEventListener('change', handlePairModeChange);
+    document.getElementById('numberInput').addEventListener('change', updatePairPreview);
+    document.getElementById('gridViewButton').addEventListener('click', openGridView);
+    document.getElementById('convertHeicCheckbox').addEventListener('change', updateHeicOptions);
+    initializeOutputProfileForm();
+    initializeZipOptionsForm();
+    document.getElementById('heicQualityInput').addEventListener('input', updateHeicOptions);
+    document.getElementById('imageSortSelect').value = AppState.settings.imageSort;
+    document.getElementById('imageSortSelect').addEventListener('change', handleImageSortChange);
+    document.getElementById('resetProcessedButton').addEventListener('click', resetProcessedFiles);
+    document.getElementById('skipButton').addEventListener('click', skipCurrentImage);
+    document.getElementById('nextUnprocessedButton').addEventListener('click', goToNextUnprocessed);
+    document.getElementById('excludeButton').addEventListener('click', toggleExcludeCurrent);
+    document.getElementById('jumpButton').addEventListener('click', jumpToInputIndex);
+    document.getElementById('jumpInput').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') jumpToInputIndex();
+    });
+    document.getElementById('closeGridButton').addEventListener('click', closeGridView);
+    document.getElementById('bulkFieldSelect').addEventListener('change', renderBulkValueInput);
+    document.getElementById('bulkApplyButton').addEventListener('click', applyBulkValue);
+    document.getElementById('fillDownButton').addEventListener('click', fillDownSelected);
+    document.getElementById('suffixDuplicatesButton').addEventListener('click', () => resolveDuplicates('suffix'));
+    document.getElementById('renumberDuplicatesButton').addEventListener('click', () => resolveDuplicates('renumber'));
+    document.getElementById('closeSessionPanelButton').addEventListener('click', () => {
+        document.getElementById('sessionPanel').hidden = true;
+    });
+    document.getElementById('deleteAllSessionsButton').addEventListener('click', async () => {
+        if (!confirm('保存済みのセッションをすべて削除しますか？')) return;
+        try {
+            await deleteAllSessions();
+            checkSavedSessions();
+        } catch (error) {
+            updateStatus('sessionStatus', `❌ セッションを削除できませんでした: ${error.message}`, 'error');
+            console.error(error);
+        }
+    });
     
     // フォーム変更時のプレビュー更新
     const formInputs = ['numberInput', 'implementerSelect', 'partNameInput', 'weightInput', 
@@ -166,28 +248,78 @@ function initializeApp() {
             element.addEventListener('change', updateFilenamePreview);
         }
     });
+    document.getElementById('weightInput').addEventListener('change', handleWeightChange);
+    
+    initializeSettingsForm();
+    initializeComboboxes();
+    initializeMasterEditor();
+    initializeHeaderMapping();
+    initializeSummaryPanel();
+    initializeImageImport();
+    initializeHistory();
+    initializeImageEditor();
+    document.addEventListener('keydown', handleShortcutKeys);
+    
+    // 前回の作業セッションがあれば再開を提案
+    checkSavedSessions();
+    
+    registerServiceWorker();
 }
 
 /**
- * Excelファイル読み込み処理
+ * IDマスター読み込み処理（.xlsx / .xls / .csv / .json、複数ファイルに分かれていてもよい）
  */
 async function handleExcelUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
     
     try {
-        updateStatus('excelStatus', 'Excelファイルを読み込み中...', 'info');
-        document.getElementById('excelFileName').textContent = file.name;
+        updateStatus('excelStatus', 'IDマスターを読み込み中...', 'info');
+        const fileName = files.map(file => file.name).join('、');
+        document.getElementById('excelFileName').textContent = fileName;
         
-        const data = await readExcelFile(file);
-        parseExcelData(data);
+        const tables = (await Promise.all(files.map(readMasterFile))).flat();
+        const mapping = resolveHeaderMapping(tables);
+        HeaderMappingState.tables = tables;
+        HeaderMappingState.fileName = fileName;
+        HeaderMappingState.mapping = mapping;
+        document.getElementById('headerMappingButton').disabled = false;
         
-        updateStatus('excelStatus', `✅ 読み込み完了: 素材${Object.keys(AppState.materials).length}件、加工方法${Object.keys(AppState.processingMethods).length}件、実施者${Object.keys(AppState.implementers).length}件`, 'success');
+        if (!isHeaderMappingComplete(mapping)) {
+            updateStatus('excelStatus', '⚠️ 列の見出しを判別できませんでした。下の「列の対応」で各項目の列を選んでください', 'info');
+            openHeaderMappingDialog();
+            return;
+        }
+        
+        closeHeaderMappingDialog();
+        loadMasterTables(tables, mapping, fileName);
+    } catch (error) {
+        updateStatus('excelStatus', `❌ エラー: ${error.message}`, 'error');
+        console.error(error);
+    }
+}
+
+/**
+ * 表の一覧と列の対応からマスターを読み込み、画面に反映
+ */
+function loadMasterTables(tables, mapping, fileName) {
+    try {
+        const issues = parseMasterTables(tables, mapping);
+        AppState.masterFileName = fileName;
+        saveSessionState();
+        if (!document.getElementById('masterEditorPanel').hidden) {
+            renderMasterEditor();
+        }
+        
+        const warningText = issues.length > 0 ? `（警告${issues.length}件、下の一覧を確認してください）` : '';
+        updateStatus('excelStatus', `✅ 読み込み完了: 素材${Object.keys(AppState.materials).length}件、加工方法${Object.keys(AppState.processingMethods).length}件、実施者${Object.keys(AppState.implementers).length}件${warningText}`, 'success');
         
         checkReadyState();
+        return true;
     } catch (error) {
         updateStatus('excelStatus', `❌ エラー: ${error.message}`, 'error');
         console.error(error);
+        return false;
     }
 }
 
@@ -214,109 +346,386 @@ function readExcelFile(file) {
 }
 
 /**
- * Excelデータを解析
+ * テキストファイルを読み込む（UTF-8 として読めなければ Shift_JIS とみなす）
  */
-function parseExcelData(workbook) {
-    // 素材シート
-    const materialSheet = findSheet(workbook, '素材');
-    if (materialSheet) {
-        parseMaterialSheet(materialSheet);
+async function readTextFile(file) {
+    const buffer = await file.arrayBuffer();
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        // Excel で保存した日本語 CSV は Shift_JIS のことが多い
+        return new TextDecoder('shift_jis').decode(buffer);
     }
+}
+
+/**
+ * マスターファイルを表の一覧に変換
+ * Excel はシートごと、CSV は1ファイル1表、JSON は配列を持つキーごと（配列そのものなら1表）
+ */
+async function readMasterFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const baseName = file.name.replace(/\.[^.]+$/, '');
     
-    // 加工方法シート
-    const processingSheet = findSheet(workbook, '加工');
-    if (processingSheet) {
-        parseProcessingSheet(processingSheet);
+    if (extension === 'csv') {
+        const text = await readTextFile(file);
+        let workbook;
+        try {
+            // raw: 先頭が 0 の ID（001 など）を数値にしない
+            workbook = XLSX.read(text, { type: 'string', raw: true });
+        } catch (error) {
+            throw new Error(`${file.name}: CSVの解析に失敗しました`);
+        }
+        return [createSheetTable(workbook.Sheets[workbook.SheetNames[0]], baseName, file.name)];
+    }
+    
+    if (extension === 'json') {
+        let data;
+        try {
+            data = JSON.parse(await readTextFile(file));
+        } catch (error) {
+            throw new Error(`${file.name}: JSONの解析に失敗しました（${error.message}）`);
+        }
+        return parseMasterJson(data, baseName, file.name);
+    }
+    
+    const workbook = await readExcelFile(file);
+    return workbook.SheetNames.map(sheetName => createSheetTable(workbook.Sheets[sheetName], sheetName, file.name));
+}
+
+/**
+ * シートを表（行の配列）に変換
+ */
+function createSheetTable(sheet, name, fileName) {
+    return {
+        name,
+        fileName,
+        rows: XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true }),
+        firstRow: sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s.r + 1 : 1
+    };
+}
+
+/**
+ * JSON のマスターを表の一覧に変換
+ * { "素材": [{...}], "加工": [...], "実施者": [...], "設定": {...} } または [{...}] の形式
+ */
+function parseMasterJson(data, baseName, fileName) {
+    if (Array.isArray(data)) {
+        return [createJsonTable(data, baseName, fileName)];
+    }
+    if (!data || typeof data !== 'object') {
+        throw new Error(`${fileName}: 配列またはオブジェクトのJSONが必要です`);
+    }
+    
+    const tables = [];
+    Object.entries(data).forEach(([key, value]) => {
+        if (Array.isArray(value)) {
+            tables.push(createJsonTable(value, key, fileName));
+        } else if (value && typeof value === 'object') {
+            // 設定のような「項目名: 値」のオブジェクトは2列の表にする
+            tables.push({ name: key, fileName, rows: Object.entries(value), firstRow: 1 });
+        }
+    });
+    return tables;
+}
+
+/**
+ * JSON の配列を表に変換（オブジェクトの配列はキーを見出し行にする）
+ */
+function createJsonTable(items, name, fileName) {
+    if (items.every(item => Array.isArray(item))) {
+        return { name, fileName, rows: items, firstRow: 1 };
+    }
+    
+    const headers = [];
+    items.forEach(item => {
+        Object.keys(item || {}).forEach(key => {
+            if (!headers.includes(key)) headers.push(key);
+        });
+    });
+    const rows = items.map(item => headers.map(key => item?.[key] ?? ''));
+    return { name, fileName, rows: [headers, ...rows], firstRow: 1 };
+}
+
+/**
+ * 表の表示名（複数ファイルのときはファイル名も付ける）
+ */
+function getTableLabel(table, tables) {
+    const fileCount = new Set(tables.map(t => t.fileName)).size;
+    if (fileCount <= 1 || table.name === table.fileName.replace(/\.[^.]+$/, '')) {
+        return table.name;
     }
+    return `${table.fileName} / ${table.name}`;
+}
+
+/**
+ * IDマスターの表を解析
+ * 戻り値は確認結果（シート・行ごとのエラーと警告）。エラーがある場合はマスターを更新せずに例外を投げる
+ */
+function parseMasterTables(tables, mapping) {
+    // 設定シート（任意）: マスターを書き換える前に検証する
+    const settingsTable = findMasterTable(tables, SETTINGS_SHEET_KEYWORDS);
+    const settings = settingsTable ? parseSettingsSheet(settingsTable.rows) : null;
+    
+    // ID のファイル名安全性は読み込み後に使われるテンプレートの区切り文字で判定する
+    const template = settings?.filenameTemplate || AppState.settings.filenameTemplate;
+    const context = { issues: [], separators: getTemplateSeparators(template) };
+    const master = {};
+    
+    // 素材シート
+    Object.assign(master, parseMaterialSheet(readMappedRows(tables, mapping, 'material', context)));
+    
+    // 加工方法シート
+    Object.assign(master, parseProcessingSheet(readMappedRows(tables, mapping, 'processing', context)));
     
     // 実施者シート
-    const implementerSheet = findSheet(workbook, '実施者');
-    if (implementerSheet) {
-        parseImplementerSheet(implementerSheet);
+    Object.assign(master, parseImplementerSheet(readMappedRows(tables, mapping, 'implementer', context)));
+    
+    renderMasterReport(context.issues);
+    
+    const errorCount = context.issues.filter(issue => issue.level === 'error').length;
+    if (errorCount > 0) {
+        throw new Error(`IDマスターにエラーが${errorCount}件あります。下の一覧を確認して修正してください`);
     }
     
-    if (Object.keys(AppState.materials).length === 0 || 
-        Object.keys(AppState.processingMethods).length === 0 || 
-        Object.keys(AppState.implementers).length === 0) {
+    if (Object.keys(master.materials).length === 0 || 
+        Object.keys(master.processingMethods).length === 0 || 
+        Object.keys(master.implementers).length === 0) {
         throw new Error('必要なシート（素材、加工、実施者）が見つかりません');
     }
+    
+    Object.assign(AppState, master);
+    updateSelect('materialCategorySelect', Object.keys(AppState.materialCategories));
+    updateSelect('processingSelect', Object.keys(AppState.processingMethods));
+    updateSelect('implementerSelect', Object.keys(AppState.implementers));
+    
+    if (settings) {
+        applyFilenameSettings(settings);
+        updateSettingsForm();
+    }
+    
+    return context.issues;
 }
 
 /**
- * シート名から該当するシートを検索
+ * 対応づけた表から行を読み込む（表がなければエラーとして記録）
  */
-function findSheet(workbook, keyword) {
-    const sheetName = workbook.SheetNames.find(name => name.includes(keyword));
-    return sheetName ? workbook.Sheets[sheetName] : null;
+function readMappedRows(tables, mapping, type, context) {
+    const definition = MASTER_DEFINITIONS[type];
+    const entry = mapping[type];
+    if (!entry || !entry.table) {
+        addMasterIssue(context, 'error', definition.sheetName, null, `「${definition.sheetName}」の表が見つかりません`);
+        return [];
+    }
+    return readMasterRows(entry.table, getTableLabel(entry.table, tables), type, entry.columns, context);
 }
 
 /**
- * 素材シートを解析
+ * 確認結果を1件追加
+ */
+function addMasterIssue(context, level, sheetName, row, message) {
+    context.issues.push({ level, sheetName, row, message });
+}
+
+/**
+ * マスターの表の行を検証しながら読み込む
+ * 問題のある行は読み込まず、同じ名前・IDは先に出てきた行を優先する
  */
-function parseMaterialSheet(sheet) {
-    const data = XLSX.utils.sheet_to_json(sheet);
-    AppState.materials = {};
-    AppState.materialCategories = {};
-    AppState.materialNameToId = {};
+function readMasterRows(table, sheetName, type, columnIndexes, context) {
+    const definition = MASTER_DEFINITIONS[type];
+    const columns = getMasterColumns(type).map(column => ({ ...column, index: columnIndexes[column.key] ?? -1 }));
+    const { rows, firstRow } = table;
+    
+    // 必須列の確認
+    let missingColumn = false;
+    columns.forEach(column => {
+        if (column.index === -1) {
+            addMasterIssue(context, 'error', sheetName, firstRow, `列「${column.header}」が見つかりません（1行目に見出しが必要です）`);
+            missingColumn = true;
+        }
+    });
+    if (missingColumn) return [];
+    
+    const entries = [];
+    const byName = new Map();
+    const byId = new Map();
     
-    data.forEach(row => {
-        const name = row['素材名'];
-        const id = row['素材ID'];
-        const category = row['素材区分'];
+    rows.slice(1).forEach((cells, i) => {
+        const rowNumber = firstRow + i + 1;
+        const entry = { row: rowNumber };
+        columns.forEach(column => {
+            entry[column.key] = String(cells[column.index] ?? '').trim();
+        });
         
-        if (name && id && category) {
-            AppState.materials[name] = id;
-            AppState.materialNameToId[name] = id;
-            
-            if (!AppState.materialCategories[category]) {
-                AppState.materialCategories[category] = [];
+        const empty = columns.filter(column => entry[column.key] === '');
+        if (empty.length === columns.length) return;
+        if (empty.length > 0) {
+            addMasterIssue(context, 'warning', sheetName, rowNumber, `${empty.map(column => column.header).join('・')}が空欄のため読み込みません`);
+            return;
+        }
+        
+        const unsafe = findUnsafeChars(entry.id, context.separators);
+        if (unsafe.length > 0) {
+            addMasterIssue(context, 'error', sheetName, rowNumber, `${definition.idHeader}「${entry.id}」にファイル名で使えない文字（${unsafe.map(describeChar).join('、')}）が含まれています`);
+            return;
+        }
+        
+        const sameName = byName.get(entry.name);
+        if (sameName) {
+            if (columns.every(column => sameName[column.key] === entry[column.key])) {
+                addMasterIssue(context, 'warning', sheetName, rowNumber, `${sameName.row}行目と同じ内容の重複行です（読み飛ばします）`);
+            } else {
+                const detail = sameName.category !== undefined && sameName.category !== entry.category
+                    ? `${definition.categoryHeader}「${sameName.category}」`
+                    : `${definition.idHeader}「${sameName.id}」`;
+                addMasterIssue(context, 'error', sheetName, rowNumber, `${definition.nameHeader}「${entry.name}」が${sameName.row}行目（${detail}）と重複しています`);
             }
-            AppState.materialCategories[category].push(name);
+            return;
         }
+        
+        // ID はファイル名に使われるため大文字・小文字の違いも重複とみなす
+        const sameId = byId.get(entry.id.toLowerCase());
+        if (sameId) {
+            addMasterIssue(context, 'error', sheetName, rowNumber, `${definition.idHeader}「${entry.id}」が${sameId.row}行目（${sameId.name}）と重複しています`);
+            return;
+        }
+        
+        byName.set(entry.name, entry);
+        byId.set(entry.id.toLowerCase(), entry);
+        entries.push(entry);
     });
     
-    // 素材区分のドロップダウンを更新
-    updateSelect('materialCategorySelect', Object.keys(AppState.materialCategories));
+    return entries;
 }
 
 /**
- * 加工方法シートを解析
+ * 設定シートを解析（A列: 項目名、B列: 値）
+ */
+function parseSettingsSheet(rows) {
+    const keyMap = {
+        'ファイル名テンプレート': 'filenameTemplate',
+        'テンプレート': 'filenameTemplate',
+        'template': 'filenameTemplate',
+        'プロジェクトコード': 'projectCode',
+        'プロジェクト': 'projectCode',
+        'project': 'projectCode',
+        '重量の単位': 'weightUnit',
+        'weight unit': 'weightUnit',
+        '重量の小数桁数': 'weightDecimals',
+        'weight decimals': 'weightDecimals'
+    };
+    
+    const settings = {};
+    rows.forEach(([key, value]) => {
+        const settingKey = keyMap[String(key ?? '').trim().toLowerCase()];
+        if (settingKey && value !== undefined && value !== '') {
+            settings[settingKey] = String(value).trim();
+        }
+    });
+    
+    if (settings.filenameTemplate) {
+        const error = validateFilenameTemplate(settings.filenameTemplate);
+        if (error) {
+            throw new Error(`設定シートのファイル名テンプレートが不正です（${error}）`);
+        }
+    }
+    if (settings.weightUnit !== undefined && WEIGHT_UNITS[settings.weightUnit] === undefined) {
+        throw new Error(`設定シートの重量の単位「${settings.weightUnit}」に対応していません（${Object.keys(WEIGHT_UNITS).join(' / ')}）`);
+    }
+    if (settings.weightDecimals !== undefined &&
+        !(/^\d+$/.test(settings.weightDecimals) && Number(settings.weightDecimals) <= MAX_WEIGHT_DECIMALS)) {
+        throw new Error(`設定シートの重量の小数桁数は0〜${MAX_WEIGHT_DECIMALS}で指定してください`);
+    }
+    
+    return settings;
+}
+
+/**
+ * 素材シートを解析
  */
-function parseProcessingSheet(sheet) {
-    const data = XLSX.utils.sheet_to_json(sheet);
-    AppState.processingMethods = {};
+function parseMaterialSheet(entries) {
+    const materials = {};
+    const materialCategories = {};
+    const materialNameToId = {};
     
-    data.forEach(row => {
-        const name = row['加工方法名'];
-        const id = row['加工ID'];
+    entries.forEach(({ name, id, category }) => {
+        materials[name] = id;
+        materialNameToId[name] = id;
         
-        if (name && id) {
-            AppState.processingMethods[name] = id;
+        if (!materialCategories[category]) {
+            materialCategories[category] = [];
         }
+        materialCategories[category].push(name);
     });
     
-    // 加工方法のドロップダウンを更新
-    updateSelect('processingSelect', Object.keys(AppState.processingMethods));
+    return { materials, materialCategories, materialNameToId };
+}
+
+/**
+ * 加工方法シートを解析
+ */
+function parseProcessingSheet(entries) {
+    const processingMethods = {};
+    entries.forEach(({ name, id }) => {
+        processingMethods[name] = id;
+    });
+    return { processingMethods };
 }
 
 /**
  * 実施者シートを解析
  */
-function parseImplementerSheet(sheet) {
-    const data = XLSX.utils.sheet_to_json(sheet);
-    AppState.implementers = {};
+function parseImplementerSheet(entries) {
+    const implementers = {};
+    entries.forEach(({ name, id }) => {
+        implementers[name] = id;
+    });
+    return { implementers };
+}
+
+/**
+ * IDマスターの確認結果を表示
+ */
+function renderMasterReport(issues) {
+    const report = document.getElementById('masterReport');
+    report.innerHTML = '';
+    
+    if (issues.length === 0) {
+        report.style.display = 'none';
+        return;
+    }
+    
+    const errors = issues.filter(issue => issue.level === 'error');
+    const warnings = issues.filter(issue => issue.level === 'warning');
+    const title = document.createElement('p');
+    title.className = 'report-title';
+    title.textContent = errors.length > 0
+        ? `❌ エラー ${errors.length}件${warnings.length > 0 ? `、⚠️ 警告 ${warnings.length}件` : ''} - エラーを修正するまでIDマスターは読み込まれません。`
+        : `⚠️ 警告 ${warnings.length}件 - 該当行は読み飛ばして読み込みました。`;
+    report.appendChild(title);
+    report.classList.toggle('has-errors', errors.length > 0);
     
-    data.forEach(row => {
-        const name = row['実施者名'] || row['名前'];
-        const id = row['実施者ID'] || row['ID'];
+    // シートごとにまとめ、エラーを先に表示
+    const sheetNames = Array.from(new Set(issues.map(issue => issue.sheetName)));
+    sheetNames.forEach(sheetName => {
+        const heading = document.createElement('p');
+        heading.className = 'report-sheet';
+        heading.textContent = `シート「${sheetName}」`;
+        report.appendChild(heading);
         
-        if (name && id) {
-            AppState.implementers[name] = id;
-        }
+        const list = document.createElement('ul');
+        [...errors, ...warnings]
+            .filter(issue => issue.sheetName === sheetName)
+            .forEach(issue => {
+                const item = document.createElement('li');
+                item.className = issue.level === 'error' ? 'report-error' : 'report-warning';
+                const prefix = issue.level === 'error' ? '❌' : '⚠️';
+                item.textContent = issue.row ? `${prefix} ${issue.row}行目: ${issue.message}` : `${prefix} ${issue.message}`;
+                list.appendChild(item);
+            });
+        report.appendChild(list);
     });
     
-    // 実施者のドロップダウンを更新
-    updateSelect('implementerSelect', Object.keys(AppState.implementers));
+    report.style.display = 'block';
 }
 
 /**
@@ -335,6 +744,8 @@ function updateSelect(selectId, options) {
         opt.textContent = option;
         select.appendChild(opt);
     });
+    
+    syncComboboxes();
 }
 
 /**
@@ -351,38 +762,195 @@ function handleMaterialCategoryChange(event) {
     } else {
         materialSelect.disabled = true;
         materialSelect.innerHTML = '<option value="">素材区分を選択してください</option>';
+        syncComboboxes();
     }
     
     updateFilenamePreview();
 }
 
 /**
- * 画像ファイル読み込み処理
+ * 画像ファイル読み込み処理（ファイル選択・フォルダ選択）
  */
 async function handleImageUpload(event) {
-    const files = Array.from(event.target.files);
-    if (files.length === 0) return;
+    const entries = Array.from(event.target.files).map(file => ({ file, path: file.webkitRelativePath || file.name }));
+    // 同じファイルを選び直しても change が発生するようにする（追加読み込み用）
+    event.target.value = '';
+    await importImageFiles(entries);
+}
+
+/**
+ * 画像を読み込む（「現在のバッチに追加」がオンなら処理済みの内容を残して追加）
+ * entries: [{ file, path }]（path はフォルダからの相対パス）
+ */
+async function importImageFiles(entries) {
+    if (entries.length === 0) return;
+    
+    const images = entries.filter(({ file }) => isImportableImage(file));
+    const ignoredCount = entries.length - images.length;
+    if (images.length === 0) {
+        updateStatus('imageStatus', '❌ 画像ファイルが見つかりません', 'error');
+        return;
+    }
+    
+    const append = AppState.settings.appendImages && AppState.imageFiles.length > 0;
+    
+    try {
+        updateStatus('imageStatus', `${images.length}個の画像ファイルを読み込み中...`, 'info');
+        
+        const existing = append ? AppState.imageFiles : [];
+        const { files, skipped } = assignFileKeys(images, existing);
+        const before = captureHistorySnapshot();
+        
+        // ファイルを自然順序（設定により撮影日時順）でソート
+        await sortImageFiles(files);
+        
+        if (append) {
+            // 追加分は既存の画像の後ろに並べ、最初の追加画像から入力を続ける
+            AppState.imageFiles = [...existing, ...files];
+            if (files.length > 0) {
+                AppState.currentIndex = existing.length;
+                pushHistory(`画像を追加（${files.length}個）`, before);
+            }
+            renderBatchStatus();
+            if (AppState.sessionId) {
+                saveSessionImages().catch(error => console.warn('セッションの保存に失敗しました:', error));
+                saveSessionState();
+            } else {
+                startNewSession();
+            }
+        } else {
+            AppState.imageFiles = files;
+            AppState.currentIndex = 0;
+            AppState.processedFiles.clear();
+            AppState.draftFields.clear();
+            AppState.skippedFiles.clear();
+            AppState.excludedFiles.clear();
+            AppState.imageEdits.clear();
+            clearThumbnailCache();
+            if (before.imageFiles.length > 0) {
+                pushHistory(`画像を読み込み（${files.length}個）`, before);
+            }
+            renderBatchStatus();
+            renderReimportReport([]);
+            startNewSession();
+        }
+        updateDecoderIndicator();
+        checkDuplicatePhotos().catch(error => console.warn('重複・類似写真のチェックに失敗しました:', error));
+        renderImportSkipReport(skipped);
+        
+        const notes = [];
+        if (skipped.length > 0) notes.push(`読み込み済みの${skipped.length}個はスキップ`);
+        if (ignoredCount > 0) notes.push(`画像以外の${ignoredCount}個は無視`);
+        const noteText = notes.length > 0 ? `（${notes.join('、')}）` : '';
+        document.getElementById('imageFileName').textContent = `${AppState.imageFiles.length}個のファイルを選択`;
+        updateStatus('imageStatus', append
+            ? `✅ ${files.length}個の画像を追加しました（合計 ${AppState.imageFiles.length}個）${noteText}`
+            : `✅ ${files.length}個の画像ファイルを読み込みました${noteText}`, 'success');
+        
+        checkReadyState();
+        
+        if (AppState.isReady) {
+            displayCurrentImage();
+            updateNavigationButtons();
+            if (append) {
+                syncFormWithCurrentImage();
+            } else {
+                autoSetNumber();
+            }
+        }
+        updateDownloadButton();
+    } catch (error) {
+        updateStatus('imageStatus', `❌ エラー: ${error.message}`, 'error');
+        console.error(error);
+    }
+}
+
+/**
+ * リネーム済みファイル（またはZIP）の再読み込み処理
+ */
+async function handleReimportUpload(event) {
+    const selected = Array.from(event.target.files);
+    if (selected.length === 0) return;
+    
+    // IDから名前へ戻すためにマスターが必要
+    if (!hasMasterData()) {
+        updateStatus('imageStatus', '❌ 先にIDマスターを読み込んでください', 'error');
+        return;
+    }
     
     try {
-        updateStatus('imageStatus', `${files.length}個の画像ファイルを読み込み中...`, 'info');
+        updateStatus('imageStatus', 'リネーム済みファイルを解析中...', 'info');
         
-        // ファイルを自然順序でソート
-        files.sort((a, b) => naturalSort(a.name, b.name));
+        const { files } = assignFileKeys(await expandReimportFiles(selected), []);
+        if (files.length === 0) {
+            throw new Error('画像ファイルが見つかりません');
+        }
+        await sortImageFiles(files);
         
+        const before = captureHistorySnapshot();
         AppState.imageFiles = files;
         AppState.currentIndex = 0;
         AppState.processedFiles.clear();
+        AppState.draftFields.clear();
+        AppState.skippedFiles.clear();
+        AppState.excludedFiles.clear();
+        AppState.imageEdits.clear();
+        clearThumbnailCache();
+        
+        const problems = [];
+        let restoredFromMetadata = 0;
+        for (const file of files) {
+            let parsed = parseFilename(file.name);
+            let result = parsed ? resolveParsedFilename(parsed) : null;
+            
+            // ファイル名から復元できない場合は、画像に埋め込んだ入力内容を探す
+            if (!result || result.errors.length > 0) {
+                const embedded = await readEmbeddedRecord(file).catch(error => {
+                    console.warn('埋め込まれた入力内容の読み取りに失敗しました:', file.name, error);
+                    return null;
+                });
+                if (embedded) {
+                    parsed = { values: embeddedRecordToValues(embedded), extension: file.name.split('.').pop(), suffix: '' };
+                    result = resolveParsedFilename(parsed);
+                    if (result.errors.length === 0) restoredFromMetadata++;
+                }
+            }
+            
+            if (!result) {
+                problems.push({ name: file.name, reason: 'ファイル名の形式を解析できません' });
+                continue;
+            }
+            if (result.errors.length > 0) {
+                problems.push({ name: file.name, reason: result.errors.join('、') });
+                continue;
+            }
+            
+            const record = { extension: parsed.extension, blob: file, fields: result.fields, suffix: parsed.suffix };
+            record.newName = recordBaseName(record);
+            AppState.processedFiles.set(getFileKey(file), record);
+        }
+        if (before.imageFiles.length > 0) {
+            pushHistory(`再読み込み（${files.length}個）`, before);
+        }
+        
+        renderBatchStatus();
+        startNewSession();
+        updateDecoderIndicator();
+        checkDuplicatePhotos().catch(error => console.warn('重複・類似写真のチェックに失敗しました:', error));
         
-        document.getElementById('imageFileName').textContent = `${files.length}個のファイルを選択`;
-        updateStatus('imageStatus', `✅ ${files.length}個の画像ファイルを読み込みました`, 'success');
+        document.getElementById('imageFileName').textContent = `${files.length}個のファイルを再読み込み`;
+        updateStatus('imageStatus', `✅ ${files.length}個のファイルを再読み込みしました（復元 ${AppState.processedFiles.size}件${restoredFromMetadata > 0 ? `［うち画像の埋め込み情報から ${restoredFromMetadata}件］` : ''}、要確認 ${problems.length}件）`, problems.length > 0 ? 'info' : 'success');
+        renderReimportReport(problems);
+        renderImportSkipReport([]);
         
         checkReadyState();
         
         if (AppState.isReady) {
             displayCurrentImage();
             updateNavigationButtons();
-            autoSetNumber();
+            syncFormWithCurrentImage();
         }
+        updateDownloadButton();
     } catch (error) {
         updateStatus('imageStatus', `❌ エラー: ${error.message}`, 'error');
         console.error(error);
@@ -390,33 +958,229 @@ async function handleImageUpload(event) {
 }
 
 /**
- * 自然順序ソート
+ * 選択されたファイルを展開（ZIPは中の画像を取り出す）
  */
-function naturalSort(a, b) {
-    const ax = [], bx = [];
-    
-    a.replace(/(\d+)|(\D+)/g, (_, $1, $2) => { ax.push([$1 || Infinity, $2 || '']); });
-    b.replace(/(\d+)|(\D+)/g, (_, $1, $2) => { bx.push([$1 || Infinity, $2 || '']); });
+async function expandReimportFiles(selected) {
+    const files = [];
     
-    while (ax.length && bx.length) {
-        const an = ax.shift();
-        const bn = bx.shift();
-        const nn = (an[0] - bn[0]) || an[1].localeCompare(bn[1]);
-        if (nn) return nn;
+    for (const file of selected) {
+        if (!/\.zip$/i.test(file.name)) {
+            files.push({ file, path: file.name });
+            continue;
+        }
+        
+        const zip = await JSZip.loadAsync(file);
+        const entries = Object.values(zip.files).filter(entry => !entry.dir);
+        for (const entry of entries) {
+            const name = entry.name.split('/').pop();
+            // macOSのメタデータや画像以外（マニフェスト等）、変換前のHEICを残したフォルダは対象外
+            if (entry.name.startsWith('__MACOSX/') || entry.name.startsWith(`${HEIC_ORIGINALS_FOLDER}/`) ||
+                name.startsWith('.') || !isImageFilename(name)) {
+                continue;
+            }
+            // ZIP内のフォルダ分けを残すため、パスで識別する
+            const blob = await entry.async('blob');
+            files.push({ file: new File([blob], name, { type: guessMimeType(name), lastModified: entry.date.getTime() }), path: entry.name });
+        }
     }
     
-    return ax.length - bx.length;
+    return files;
 }
 
 /**
- * 現在の画像を表示
+ * 画像ファイル名かどうかを拡張子で判定
  */
-async function displayCurrentImage() {
-    const file = AppState.imageFiles[AppState.currentIndex];
-    if (!file) return;
+function isImageFilename(name) {
+    return /\.(jpe?g|png|gif|webp|bmp|heic|heif)$/i.test(name);
+}
+
+/**
+ * 拡張子からMIMEタイプを推定
+ */
+function guessMimeType(name) {
+    const ext = name.split('.').pop().toLowerCase();
+    const types = {
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        png: 'image/png',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        bmp: 'image/bmp',
+        heic: 'image/heic',
+        heif: 'image/heif'
+    };
+    return types[ext] || '';
+}
+
+/**
+ * 分解したファイル名のIDをマスターの名前へ戻す
+ */
+function resolveParsedFilename(parsed) {
+    const errors = [];
+    const values = parsed.values;
+    
+    // 名前とIDのどちらがテンプレートに含まれていてもマスターの名前に揃える
+    const resolveName = (nameToId, nameKey, idKey, label) => {
+        if (values[nameKey] !== undefined) {
+            if (nameToId[values[nameKey]] !== undefined) return values[nameKey];
+            errors.push(`${label}「${values[nameKey]}」がマスターにありません`);
+            return '';
+        }
+        if (values[idKey] !== undefined) {
+            const name = findNameById(nameToId, values[idKey]);
+            if (!name) errors.push(`${label}ID「${values[idKey]}」がマスターにありません`);
+            return name;
+        }
+        errors.push(`${label}がファイル名テンプレートに含まれていません`);
+        return '';
+    };
+    
+    const implementer = resolveName(AppState.implementers, 'implementer', 'implementerId', '実施者');
+    const material = resolveName(AppState.materialNameToId, 'material', 'materialId', '素材');
+    const processing = resolveName(AppState.processingMethods, 'processing', 'processingId', '加工');
+    
+    const missing = ['number', 'part', 'weight']
+        .filter(key => values[key] === undefined)
+        .map(key => FILENAME_PLACEHOLDERS[key].label);
+    if (missing.length > 0) {
+        errors.push(`${missing.join('・')}がファイル名テンプレートに含まれていません`);
+    }
+    
+    const unit = values.unit ?? document.getElementById('unitSelect').value;
+    const unitOptions = Array.from(document.getElementById('unitSelect').options).map(opt => opt.value);
+    if (!unitOptions.includes(unit)) {
+        errors.push(`単位「${unit}」に対応していません`);
+    }
+    
+    const materialCategory = findMaterialCategory(material);
+    
+    return {
+        errors,
+        fields: {
+            number: values.number ?? '',
+            implementer,
+            partName: values.part ?? '',
+            weight: values.weight ?? '',
+            unit,
+            materialCategory,
+            material,
+            processing,
+            photoType: values.photoType ?? 'P',
+            notes: values.notes ?? '0'
+        }
+    };
+}
+
+/**
+ * 素材名から素材区分を検索
+ */
+function findMaterialCategory(material) {
+    if (!material) return '';
+    return Object.keys(AppState.materialCategories)
+        .find(category => AppState.materialCategories[category].includes(material)) || '';
+}
+
+/**
+ * 名前→IDの対応表からIDに対応する名前を検索
+ */
+function findNameById(nameToId, id) {
+    return Object.keys(nameToId).find(name => String(nameToId[name]) === id) || '';
+}
+
+/**
+ * 再読み込みで復元できなかったファイルの一覧を表示
+ */
+function renderReimportReport(problems) {
+    const report = document.getElementById('reimportReport');
+    report.innerHTML = '';
+    
+    if (problems.length === 0) {
+        report.style.display = 'none';
+        return;
+    }
+    
+    const title = document.createElement('p');
+    title.className = 'report-title';
+    title.textContent = `⚠️ 要確認のファイル (${problems.length}件) - 未処理として読み込まれています。フォームから入力し直してください。`;
+    report.appendChild(title);
+    
+    const list = document.createElement('ul');
+    problems.forEach(problem => {
+        const item = document.createElement('li');
+        const name = document.createElement('code');
+        name.textContent = problem.name;
+        item.appendChild(name);
+        item.appendChild(document.createTextNode(` - ${problem.reason}`));
+        list.appendChild(item);
+    });
+    report.appendChild(list);
+    report.style.display = 'block';
+}
+
+/**
+ * 追加時にスキップした読み込み済みの画像を一覧表示
+ */
+function renderImportSkipReport(skipped) {
+    const report = document.getElementById('importSkipReport');
+    report.innerHTML = '';
+    
+    if (skipped.length === 0) {
+        report.style.display = 'none';
+        return;
+    }
+    
+    const title = document.createElement('p');
+    title.className = 'report-title';
+    title.textContent = `ℹ️ 追加しなかったファイル (${skipped.length}件) - 名前・サイズ・更新日時が読み込み済みの画像と同じです`;
+    report.appendChild(title);
+    
+    const list = document.createElement('ul');
+    skipped.forEach(path => {
+        const item = document.createElement('li');
+        const name = document.createElement('code');
+        name.textContent = path;
+        item.appendChild(name);
+        list.appendChild(item);
+    });
+    report.appendChild(list);
+    report.style.display = 'block';
+}
+
+/**
+ * 自然順序ソート
+ */
+function naturalSort(a, b) {
+    const ax = [], bx = [];
+    
+    a.replace(/(\d+)|(\D+)/g, (_, $1, $2) => { ax.push([$1 || Infinity, $2 || '']); });
+    b.replace(/(\d+)|(\D+)/g, (_, $1, $2) => { bx.push([$1 || Infinity, $2 || '']); });
+    
+    while (ax.length && bx.length) {
+        const an = ax.shift();
+        const bn = bx.shift();
+        const nn = (an[0] - bn[0]) || an[1].localeCompare(bn[1]);
+        if (nn) return nn;
+    }
+    
+    return ax.length - bx.length;
+}
+
+/**
+ * 現在の画像を表示
+ */
+async function displayCurrentImage() {
+    const file = AppState.imageFiles[AppState.currentIndex];
+    if (!file) return;
 
     const preview = document.getElementById('imagePreview');
     const info = document.getElementById('imageInfo');
+    const position = `画像 ${AppState.currentIndex + 1} / ${AppState.imageFiles.length}: ${getFileKey(file)}`;
+
+    // 別の画像に移ったら編集を終える
+    if (ImageEditorState.file && ImageEditorState.file !== file) {
+        closeImageEditor();
+    }
+    renderEditSummary();
 
     // 既存のObject URLを解放
     if (AppState.currentPreviewUrl) {
@@ -424,69 +1188,41 @@ async function displayCurrentImage() {
         AppState.currentPreviewUrl = null;
     }
 
-    // HEIC/HEIFはブラウザで表示できないことが多いため、JPEGへ変換して表示
-    if (isHeicFile(file)) {
-        info.textContent = `画像 ${AppState.currentIndex + 1} / ${AppState.imageFiles.length}: ${file.name}（HEICプレビュー変換中…）`;
-        // 1) Safari等でのネイティブデコード: createImageBitmap
-        try {
-            if (typeof createImageBitmap === 'function') {
-                const bitmap = await createImageBitmap(file);
-                const canvas = document.createElement('canvas');
-                canvas.width = bitmap.width;
-                canvas.height = bitmap.height;
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(bitmap, 0, 0);
-                const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.9));
-                if (blob) {
-                    const url = URL.createObjectURL(blob);
-                    AppState.currentPreviewUrl = url;
-                    preview.innerHTML = `<img src="${url}" alt="画像プレビュー">`;
-                    info.textContent = `画像 ${AppState.currentIndex + 1} / ${AppState.imageFiles.length}: ${file.name}（HEIC→JPEGで表示）`;
-                    updateFilenamePreview();
-                    return;
-                }
-            }
-        } catch (e) {
-            // createImageBitmap失敗時は次の手段へ
-            console.warn('createImageBitmapでのHEICデコードに失敗:', e);
-        }
+    // 撮影日時・カメラ・向きをEXIFから取得（読み取り中に画像を移動したら中断）
+    const metadata = await getImageMetadata(file);
+    if (AppState.imageFiles[AppState.currentIndex] !== file) return;
+    const captureInfo = formatCaptureInfo(metadata);
 
-        // 2) ライブラリ heic2any による変換
-        if (!(await ensureHeic2Any())) {
-            // ライブラリ読み込みに失敗
-        } else {
-            try {
-                const result = await window.heic2any({ blob: file, toType: 'image/jpeg', quality: 0.9 });
-                const blob = extractJpegBlob(result);
-                const url = URL.createObjectURL(blob);
-                AppState.currentPreviewUrl = url;
-                preview.innerHTML = `<img src="${url}" alt="画像プレビュー">`;
-                info.textContent = `画像 ${AppState.currentIndex + 1} / ${AppState.imageFiles.length}: ${file.name}（HEIC→JPEGで表示）`;
-                updateFilenamePreview();
-                return;
-            } catch (error) {
-                console.error('heic2anyでのHEICプレビュー変換エラー:', error);
-            }
-        }
+    // 回転・トリミングした画像（または編集中の画像）は編集結果を描いて表示
+    const edit = AppState.imageEdits.get(getFileKey(file));
+    if (edit || ImageEditorState.file === file) {
+        info.textContent = `${position}（編集結果を表示中…）`;
+        const shown = await renderEditedPreview(file);
+        if (AppState.imageFiles[AppState.currentIndex] !== file) return;
+        const editInfo = edit ? `（編集: ${describeImageEdit(edit)}）` : '';
+        info.textContent = shown ? `${position}${editInfo}${captureInfo}` : `${position}（プレビュー不可 - 編集は出力時に適用）${captureInfo}`;
+        updateFilenamePreview();
+        return;
+    }
 
-        // 3) libheif-js による変換（heic2anyが失敗した場合のフォールバック）
-        try {
-            const jpegBlob = await decodeHeicWithLibheif(file);
-            if (jpegBlob) {
-                const url = URL.createObjectURL(jpegBlob);
-                AppState.currentPreviewUrl = url;
-                preview.innerHTML = `<img src="${url}" alt="画像プレビュー">`;
-                info.textContent = `画像 ${AppState.currentIndex + 1} / ${AppState.imageFiles.length}: ${file.name}（HEIC→JPEGで表示）`;
-                updateFilenamePreview();
-                return;
-            }
-        } catch (error) {
-            console.error('libheif-jsでのHEICプレビュー変換エラー:', error);
+    // HEIC/HEIFはブラウザで表示できないことが多いため、JPEGへ変換して表示
+    // （デコーダーがHEIC内の回転情報を適用するため、EXIFの向きは使わない）
+    if (isHeicFile(file)) {
+        info.textContent = `${position}（HEICプレビュー変換中…）`;
+        const blob = await decodeHeicToJpeg(file);
+        if (AppState.imageFiles[AppState.currentIndex] !== file) return;
+        if (blob) {
+            const url = URL.createObjectURL(blob);
+            AppState.currentPreviewUrl = url;
+            preview.innerHTML = `<img src="${url}" alt="画像プレビュー">`;
+            info.textContent = `${position}（HEIC→JPEGで表示）${captureInfo}`;
+            updateFilenamePreview();
+            return;
         }
 
-        // 4) すべて失敗時
+        // すべて失敗時
         preview.innerHTML = `<div class="placeholder"><span class="placeholder-icon">⚠️</span><p>HEICプレビューに失敗しました<br><small>このHEICファイルはHEVCコーデックを使用しており、<br>Chromeではプレビューできません。<br>リネーム・ ZIP保存は可能です。</small></p></div>`;
-        info.textContent = `画像 ${AppState.currentIndex + 1} / ${AppState.imageFiles.length}: ${file.name}（HEICプレビュー不可 - Safariでは表示可能）`;
+        info.textContent = `${position}（HEICプレビュー不可 - Safariでは表示可能）${captureInfo}`;
         updateFilenamePreview();
         return;
     }
@@ -494,13 +1230,77 @@ async function displayCurrentImage() {
     // 通常画像はFileReaderでDataURL表示
     const reader = new FileReader();
     reader.onload = (e) => {
+        if (AppState.imageFiles[AppState.currentIndex] !== file) return;
         preview.innerHTML = `<img src="${e.target.result}" alt="画像プレビュー">`;
-        info.textContent = `画像 ${AppState.currentIndex + 1} / ${AppState.imageFiles.length}: ${file.name}`;
+        applyPreviewOrientation(preview.querySelector('img'), metadata.orientation);
+        info.textContent = `${position}${captureInfo}`;
     };
     reader.readAsDataURL(file);
     updateFilenamePreview();
 }
 
+/**
+ * HEIC/HEIFをJPEGに変換（変換できない場合はnull）
+ */
+async function decodeHeicToJpeg(file, quality = 0.9) {
+    // 1) Safari等でのネイティブデコード: createImageBitmap
+    try {
+        if (typeof createImageBitmap === 'function') {
+            const bitmap = await createImageBitmap(file);
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(bitmap, 0, 0);
+            const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', quality));
+            if (blob) return blob;
+        }
+    } catch (e) {
+        // createImageBitmap失敗時は次の手段へ
+        console.warn('createImageBitmapでのHEICデコードに失敗:', e);
+    }
+
+    // 2) ライブラリ heic2any による変換
+    if (await ensureHeic2Any()) {
+        try {
+            const result = await window.heic2any({ blob: file, toType: 'image/jpeg', quality });
+            return extractJpegBlob(result);
+        } catch (error) {
+            console.error('heic2anyでのHEIC変換エラー:', error);
+        }
+    }
+
+    // 3) libheif-js による変換（heic2anyが失敗した場合のフォールバック）
+    try {
+        const jpegBlob = await decodeHeicWithLibheif(file, quality);
+        if (jpegBlob) return jpegBlob;
+    } catch (error) {
+        console.error('libheif-jsでのHEIC変換エラー:', error);
+    }
+
+    return null;
+}
+
+/**
+ * サムネイル用のObject URL（ファイルごとに使い回す。HEICはnull）
+ */
+const thumbnailUrlCache = new Map();
+function getThumbnailUrl(file) {
+    if (isHeicFile(file)) return null;
+    if (!thumbnailUrlCache.has(file)) {
+        thumbnailUrlCache.set(file, URL.createObjectURL(file));
+    }
+    return thumbnailUrlCache.get(file);
+}
+
+/**
+ * サムネイル用のObject URLをすべて解放（画像の読み込み直し時）
+ */
+function clearThumbnailCache() {
+    thumbnailUrlCache.forEach(url => URL.revokeObjectURL(url));
+    thumbnailUrlCache.clear();
+}
+
 /**
  * HEIC/HEIFファイル判定（MIMEタイプまたは拡張子）
  */
@@ -537,7 +1337,19 @@ function validateForm() {
     const material = document.getElementById('materialSelect').value;
     const processing = document.getElementById('processingSelect').value;
     
-    return partName && weight && implementer && material && processing;
+    if (!(partName && weight && implementer && material && processing)) {
+        return false;
+    }
+    return getCurrentFilenameIssues().errors.length === 0;
+}
+
+/**
+ * 現在のフォーム入力に対するファイル名の問題点
+ */
+function getCurrentFilenameIssues() {
+    const file = AppState.imageFiles[AppState.currentIndex];
+    if (!file) return { errors: [], warnings: [] };
+    return checkFilenameIssues(getFormValues(), file.name.split('.').pop(), getFileKey(file));
 }
 
 /**
@@ -559,33 +1371,202 @@ function updateFilenamePreview() {
         preview.textContent = 'ファイル名がここに表示されます';
     }
     
+    renderFilenameIssues(getCurrentFilenameIssues());
     updateApplyButtonState();
 }
 
+/**
+ * フォームの入力値を取得
+ */
+function getFormValues() {
+    return {
+        number: document.getElementById('numberInput').value || String(getNextNumber()),
+        implementer: document.getElementById('implementerSelect').value,
+        partName: document.getElementById('partNameInput').value.trim(),
+        weight: normalizeWeightText(document.getElementById('weightInput').value),
+        unit: document.getElementById('unitSelect').value,
+        materialCategory: document.getElementById('materialCategorySelect').value,
+        material: document.getElementById('materialSelect').value,
+        processing: document.getElementById('processingSelect').value,
+        photoType: document.getElementById('photoTypeSelect').value,
+        notes: document.getElementById('notesSelect').value
+    };
+}
+
+/**
+ * フォームに値を設定（保存済みレコードの再編集用）
+ */
+function setFormValues(fields) {
+    document.getElementById('numberInput').value = fields.number;
+    document.getElementById('implementerSelect').value = fields.implementer;
+    document.getElementById('partNameInput').value = fields.partName;
+    document.getElementById('weightInput').value = fields.weight;
+    document.getElementById('unitSelect').value = fields.unit;
+    document.getElementById('materialCategorySelect').value = fields.materialCategory;
+    
+    // 素材名の選択肢は素材区分に依存するため先に更新
+    const materialSelect = document.getElementById('materialSelect');
+    if (fields.materialCategory) {
+        updateSelect('materialSelect', AppState.materialCategories[fields.materialCategory] || []);
+        materialSelect.disabled = false;
+    }
+    materialSelect.value = fields.material;
+    
+    document.getElementById('processingSelect').value = fields.processing;
+    document.getElementById('photoTypeSelect').value = fields.photoType;
+    document.getElementById('notesSelect').value = fields.notes;
+    
+    syncComboboxes();
+    updateFilenamePreview();
+}
+
 /**
  * ファイル名を生成
  */
 function generateFilename() {
-    const number = document.getElementById('numberInput').value || getNextNumber();
-    const implementer = document.getElementById('implementerSelect').value;
-    const partName = document.getElementById('partNameInput').value.trim();
-    const weight = document.getElementById('weightInput').value.trim();
-    const unit = document.getElementById('unitSelect').value;
-    const material = document.getElementById('materialSelect').value;
-    const processing = document.getElementById('processingSelect').value;
-    const photoType = document.getElementById('photoTypeSelect').value;
-    const notes = document.getElementById('notesSelect').value;
+    return buildFilename(getFormValues());
+}
+
+/**
+ * 入力値からファイル名を組み立てる
+ */
+function buildFilename(fields) {
+    const { partName, weight, implementer, material, processing } = fields;
     
     if (!partName || !weight || !implementer || !material || !processing) {
         return '';
     }
     
-    const implementerId = AppState.implementers[implementer];
-    const materialId = AppState.materialNameToId[material];
-    const processingId = AppState.processingMethods[processing];
+    return renderFilenameTemplate(AppState.settings.filenameTemplate, fields);
+}
+
+/**
+ * ファイル名テンプレートのプレースホルダー定義
+ * free: 部品名など区切り文字を含みうる項目（再読み込み時の解析に使用）
+ */
+const FILENAME_PLACEHOLDERS = {
+    project: { label: 'プロジェクトコード', value: () => AppState.settings.projectCode, free: true },
+    number: { label: '番号', value: (f) => f.number, pattern: '\\d+' },
+    part: { label: '部品名', value: (f) => f.partName, free: true },
+    weight: { label: '重量', value: (f) => formatWeightForOutput(f).weight },
+    unit: { label: '単位', value: (f) => formatWeightForOutput(f).unit },
+    materialCategory: { label: '素材区分', value: (f) => f.materialCategory, free: true },
+    material: { label: '素材名', value: (f) => f.material, free: true },
+    materialId: { label: '素材ID', value: (f) => AppState.materialNameToId[f.material] },
+    processing: { label: '加工方法', value: (f) => f.processing, free: true },
+    processingId: { label: '加工ID', value: (f) => AppState.processingMethods[f.processing] },
+    implementer: { label: '実施者', value: (f) => f.implementer, free: true },
+    implementerId: { label: '実施者ID', value: (f) => AppState.implementers[f.implementer] },
+    photoType: { label: '写真区分', value: (f) => f.photoType, pattern: '[PM]' },
+    notes: { label: '特記事項', value: (f) => f.notes, pattern: '[01]' }
+};
+
+const TEMPLATE_TOKEN_REGEX = /\{(\w+)(?::(\d+))?\}/g;
+
+/**
+ * テンプレートにしたがってファイル名を生成
+ * 例: {project}-{number:03}_{part}_{materialId}
+ */
+function renderFilenameTemplate(template, fields) {
+    const separators = getTemplateSeparators(template);
+    return template.replace(TEMPLATE_TOKEN_REGEX, (token, key, width) => {
+        const placeholder = FILENAME_PLACEHOLDERS[key];
+        if (!placeholder) return token;
+        
+        let value = String(placeholder.value(fields) ?? '');
+        if (AppState.settings.autoSanitize) {
+            value = sanitizeFilenameValue(value, separators);
+        }
+        return width ? value.padStart(Number(width), '0') : value;
+    });
+}
+
+/**
+ * レコードの出力ファイル名（拡張子なし、重複回避のサフィックス込み）
+ */
+function recordBaseName(data) {
+    return buildFilename(data.fields) + (data.suffix || '');
+}
+
+/**
+ * テンプレートの検証（問題があればエラーメッセージを返す）
+ */
+function validateFilenameTemplate(template) {
+    if (!template.trim()) {
+        return 'テンプレートが空です';
+    }
+    
+    const keys = Array.from(template.matchAll(TEMPLATE_TOKEN_REGEX), match => match[1]);
+    if (keys.length === 0) {
+        return 'プレースホルダーが含まれていません';
+    }
+    
+    const unknown = keys.filter(key => !FILENAME_PLACEHOLDERS[key]);
+    if (unknown.length > 0) {
+        return `不明なプレースホルダー: ${unknown.map(key => `{${key}}`).join(', ')}`;
+    }
+    return '';
+}
+
+/**
+ * テンプレートからファイル名解析用の正規表現を作成
+ */
+function compileFilenameTemplate(template) {
+    // テンプレート中の区切り文字は、部品名以外の項目には含まれないものとして扱う
+    const separators = Array.from(getTemplateSeparators(template)).join('');
+    const escapeChars = (text) => text.replace(/[\\^$.*+?()[\]{}|\-]/g, '\\$&');
+    const fieldPattern = separators ? `[^${escapeChars(separators)}]+?` : '.+?';
+    
+    const keys = [];
+    let pattern = '';
+    let lastIndex = 0;
+    for (const match of template.matchAll(TEMPLATE_TOKEN_REGEX)) {
+        const placeholder = FILENAME_PLACEHOLDERS[match[1]];
+        pattern += escapeChars(template.slice(lastIndex, match.index));
+        pattern += `(${placeholder.pattern || (placeholder.free ? '.+?' : fieldPattern)})`;
+        keys.push(match[1]);
+        lastIndex = match.index + match[0].length;
+    }
+    pattern += escapeChars(template.slice(lastIndex));
+    
+    // 末尾の重複回避サフィックス（-2, -3...）も受け付ける
+    return { regex: new RegExp(`^${pattern}(?:${DUPLICATE_SUFFIX_SEPARATOR}(\\d+))?$`), keys };
+}
+
+/**
+ * テンプレート中の区切り文字（プレースホルダー以外の文字）
+ */
+function getTemplateSeparators(template) {
+    const literals = template.split(TEMPLATE_TOKEN_REGEX).filter((_, i) => i % 3 === 0).join('');
+    return new Set(literals);
+}
+
+/**
+ * リネーム済みファイル名を各項目に分解
+ * 戻り値はテンプレートに含まれるプレースホルダー名 → 値
+ */
+function parseFilename(filename) {
+    const dotIndex = filename.lastIndexOf('.');
+    const baseName = dotIndex > 0 ? filename.slice(0, dotIndex) : filename;
+    const extension = dotIndex > 0 ? filename.slice(dotIndex + 1) : '';
     
-    // ファイル名形式: 番号_部品名_重量_単位_素材ID_加工ID_実施者ID_写真区分_特記事項
-    return `${number}_${partName}_${weight}_${unit}_${materialId}_${processingId}_${implementerId}_${photoType}_${notes}`;
+    const { regex, keys } = compileFilenameTemplate(AppState.settings.filenameTemplate);
+    const match = baseName.match(regex);
+    if (!match) {
+        return null;
+    }
+    
+    const values = {};
+    keys.forEach((key, i) => {
+        values[key] = match[i + 1];
+    });
+    if (values.number !== undefined) {
+        values.number = String(parseInt(values.number, 10));
+    }
+    const suffixNumber = match[keys.length + 1];
+    const suffix = suffixNumber ? `${DUPLICATE_SUFFIX_SEPARATOR}${suffixNumber}` : '';
+    
+    return { baseName, extension, values, suffix };
 }
 
 /**
@@ -595,10 +1576,9 @@ function getNextNumber() {
     const numberCounts = {};
     
     // 処理済みファイルから番号をカウント
-    AppState.processedFiles.forEach((data, originalName) => {
-        const match = data.newName.match(/^(\d+)_/);
-        if (match) {
-            const num = parseInt(match[1]);
+    AppState.processedFiles.forEach((data, fileKey) => {
+        const num = parseInt(data.fields.number);
+        if (!isNaN(num)) {
             numberCounts[num] = (numberCounts[num] || 0) + 1;
         }
     });
@@ -625,6 +1605,33 @@ function autoSetNumber() {
     updateFilenamePreview();
 }
 
+/**
+ * 現在の画像に保存済みの値があればフォームへ反映、なければ番号を自動設定
+ */
+function syncFormWithCurrentImage() {
+    const file = AppState.imageFiles[AppState.currentIndex];
+    const record = file && AppState.processedFiles.get(getFileKey(file));
+    const draft = file && AppState.draftFields.get(getFileKey(file));
+    document.getElementById('captureGroupHint').textContent = '';
+    
+    if (record) {
+        setFormValues(record.fields);
+    } else if (draft) {
+        // 一覧で入力途中の値を引き継ぐ
+        setFormValues(draft);
+        if (!draft.number) autoSetNumber();
+    } else {
+        autoSetNumber();
+        if (AppState.settings.pairMode) {
+            applyPairDefaults();
+        } else if (file) {
+            suggestCaptureGroupNumber(file);
+        }
+    }
+    
+    updatePairPreview();
+}
+
 /**
  * 前の画像へ移動
  */
@@ -633,7 +1640,9 @@ function navigatePrevious() {
         AppState.currentIndex--;
         displayCurrentImage();
         updateNavigationButtons();
-        autoSetNumber();
+        syncFormWithCurrentImage();
+        renderBatchStatus();
+        saveSessionState();
     }
 }
 
@@ -642,32 +1651,32 @@ function navigatePrevious() {
  */
 async function applyAndNext() {
     if (!validateForm()) {
-        alert('すべての必須項目を入力してください。');
+        const { errors } = getCurrentFilenameIssues();
+        alert(errors.length > 0
+            ? `ファイル名に問題があります。\n${errors.join('\n')}`
+            : 'すべての必須項目を入力してください。');
         return;
     }
     
     try {
         const file = AppState.imageFiles[AppState.currentIndex];
-        const newFilename = generateFilename();
-        const ext = file.name.split('.').pop();
-        const fullNewFilename = `${newFilename}.${ext}`;
-        
-        // ファイルデータを保存
-        AppState.processedFiles.set(file.name, {
-            newName: newFilename,
-            extension: ext,
-            blob: file
-        });
+        const record = createRecord(file, getFormValues());
+        const before = captureHistorySnapshot();
+        const isEdit = AppState.processedFiles.has(getFileKey(file));
         
-        // 処理済みリストに追加
-        addToProcessedList(file.name, fullNewFilename);
+        // ファイルデータを保存（再編集できるよう入力値も保持）
+        AppState.processedFiles.set(getFileKey(file), record);
+        AppState.draftFields.delete(getFileKey(file));
+        AppState.skippedFiles.delete(getFileKey(file));
+        AppState.excludedFiles.delete(getFileKey(file));
+        pushHistory(`${isEdit ? '編集' : '適用'}: ${getFileKey(file)}`, before);
         
         // 次の画像へ
         if (AppState.currentIndex < AppState.imageFiles.length - 1) {
             AppState.currentIndex++;
             displayCurrentImage();
             updateNavigationButtons();
-            autoSetNumber();
+            syncFormWithCurrentImage();
             
             // 部品名フィールドにフォーカス
             document.getElementById('partNameInput').focus();
@@ -676,8 +1685,12 @@ async function applyAndNext() {
             showCompletionMessage();
         }
         
-        // ダウンロードボタンを有効化
+        // 処理済みリストとダウンロードボタンを更新
+        renderBatchStatus();
+        const list = document.getElementById('processedList');
+        list.scrollTop = list.scrollHeight;
         updateDownloadButton();
+        saveSessionState();
         
     } catch (error) {
         alert(`エラー: ${error.message}`);
@@ -686,84 +1699,436 @@ async function applyAndNext() {
 }
 
 /**
- * 処理済みリストに追加
+ * 入力値から処理済みレコードを作成
  */
-function addToProcessedList(originalName, newName) {
-    const list = document.getElementById('processedList');
-    
-    // プレースホルダーを削除
-    const placeholder = list.querySelector('.placeholder-text');
-    if (placeholder) {
-        placeholder.remove();
-    }
-    
-    const item = document.createElement('div');
-    item.className = 'processed-item';
-    item.textContent = newName;
-    list.appendChild(item);
-    
-    // スクロールを一番下に
-    list.scrollTop = list.scrollHeight;
+function createRecord(file, fields) {
+    return {
+        newName: buildFilename(fields),
+        extension: file.name.split('.').pop(),
+        blob: file,
+        fields
+    };
 }
 
 /**
- * 完了メッセージを表示
+ * 処理状態の表示（処理済みリストとフィルムストリップ）を更新
  */
-function showCompletionMessage() {
-    const preview = document.getElementById('imagePreview');
-    preview.innerHTML = `
-        <div class="placeholder">
-            <span class="placeholder-icon">🎉</span>
-            <p><strong>すべての画像の処理が完了しました！</strong><br>
-            「リネーム済みファイルをダウンロード」ボタンから<br>
-            ZIPファイルをダウンロードできます。</p>
-        </div>
-    `;
-    
-    document.getElementById('imageInfo').textContent = `完了: ${AppState.processedFiles.size}個のファイルを処理しました`;
-    document.getElementById('applyButton').disabled = true;
+function renderBatchStatus() {
+    renderProcessedList();
+    renderFilmstrip();
+    if (!document.getElementById('summaryPanel').hidden) {
+        renderLcaSummary();
+    }
 }
 
 /**
- * ダウンロードボタンの状態更新
+ * 処理済みリストを処理済みファイルから作り直す（画像の並び順）
  */
-function updateDownloadButton() {
-    const button = document.getElementById('downloadButton');
-    button.disabled = AppState.processedFiles.size === 0;
+function renderProcessedList() {
+    const list = document.getElementById('processedList');
+    list.innerHTML = '';
+    document.getElementById('resetProcessedButton').disabled = AppState.processedFiles.size === 0;
+    document.getElementById('summaryButton').disabled = AppState.processedFiles.size === 0;
     
-    if (AppState.processedFiles.size > 0) {
-        button.textContent = `💾 リネーム済みファイルをダウンロード (${AppState.processedFiles.size}個のファイル)`;
+    if (AppState.processedFiles.size === 0) {
+        list.innerHTML = '<p class="placeholder-text">まだ処理されたファイルはありません</p>';
+        return;
     }
+    
+    AppState.imageFiles.forEach((file, index) => {
+        const data = AppState.processedFiles.get(getFileKey(file));
+        if (!data) return;
+        list.appendChild(createProcessedItem(file, data, index));
+    });
 }
 
 /**
- * ZIPファイルをダウンロード
+ * 処理済みリストの1行を作成
  */
-async function downloadZip() {
-    try {
-        updateStatus('downloadStatus', 'ZIPファイルを生成中...', 'info');
-        
-        const zip = new JSZip();
-        
-        // 処理済みファイルをZIPに追加
-        for (const [originalName, data] of AppState.processedFiles) {
+function createProcessedItem(file, data, index) {
+    const item = document.createElement('div');
+    item.className = 'processed-item';
+    item.classList.toggle('current', index === AppState.currentIndex);
+    item.title = 'クリックでこの画像を編集';
+    
+    const thumb = document.createElement('span');
+    thumb.className = 'processed-thumb';
+    const thumbnailUrl = getThumbnailUrl(file);
+    if (thumbnailUrl) {
+        const img = document.createElement('img');
+        img.src = thumbnailUrl;
+        img.loading = 'lazy';
+        img.alt = '';
+        thumb.appendChild(img);
+    } else {
+        thumb.textContent = 'HEIC';
+    }
+    item.appendChild(thumb);
+    
+    const names = document.createElement('span');
+    names.className = 'processed-names';
+    const original = document.createElement('span');
+    original.className = 'processed-original';
+    original.textContent = getFileKey(file);
+    const newName = document.createElement('span');
+    newName.className = 'processed-new';
+    newName.textContent = `${data.newName}.${data.extension}`;
+    names.appendChild(original);
+    names.appendChild(document.createTextNode(' → '));
+    names.appendChild(newName);
+    item.appendChild(names);
+    
+    const removeButton = document.createElement('button');
+    removeButton.className = 'processed-remove';
+    removeButton.textContent = '✕';
+    removeButton.title = '処理済みから外す';
+    removeButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        removeProcessedFile(getFileKey(file));
+    });
+    item.appendChild(removeButton);
+    
+    item.addEventListener('click', () => goToImage(index));
+    return item;
+}
+
+/**
+ * 指定の画像へ移動し、保存済みの値をフォームに表示
+ */
+function goToImage(index) {
+    if (index < 0 || index >= AppState.imageFiles.length) return;
+    
+    AppState.currentIndex = index;
+    if (!document.getElementById('gridSection').hidden) {
+        closeGridView();
+    } else {
+        displayCurrentImage();
+        updateNavigationButtons();
+        syncFormWithCurrentImage();
+    }
+    renderBatchStatus();
+    saveSessionState();
+}
+
+/**
+ * 処理済みから外す（画像は未処理に戻る）
+ * fileKey は getFileKey の識別キー（フォルダから読み込んだ画像はパスなので、file.name を渡さないこと）
+ */
+function removeProcessedFile(fileKey) {
+    const before = captureHistorySnapshot();
+    AppState.processedFiles.delete(fileKey);
+    pushHistory(`処理済みから外す: ${fileKey}`, before);
+    handleProcessedFilesChanged();
+}
+
+/**
+ * すべての処理済みレコードをリセット
+ */
+function resetProcessedFiles() {
+    if (AppState.processedFiles.size === 0) return;
+    if (!confirm(`処理済みの${AppState.processedFiles.size}件をすべて未処理に戻しますか？`)) return;
+    
+    const before = captureHistorySnapshot();
+    AppState.processedFiles.clear();
+    AppState.draftFields.clear();
+    pushHistory('すべて未処理に戻す', before);
+    handleProcessedFilesChanged();
+}
+
+/**
+ * 処理済みレコードを外したあとの共通処理
+ */
+function handleProcessedFilesChanged() {
+    renderBatchStatus();
+    updateDownloadButton();
+    
+    // 表示中の画像が未処理に戻った場合は番号を振り直す
+    const file = AppState.imageFiles[AppState.currentIndex];
+    if (file && !AppState.processedFiles.has(getFileKey(file))) {
+        autoSetNumber();
+    }
+    updatePairPreview();
+    saveSessionState();
+}
+
+/**
+ * 完了メッセージを表示
+ */
+function showCompletionMessage() {
+    closeImageEditor();
+    const preview = document.getElementById('imagePreview');
+    preview.innerHTML = `
+        <div class="placeholder">
+            <span class="placeholder-icon">🎉</span>
+            <p><strong>すべての画像の処理が完了しました！</strong><br>
+            「リネーム済みファイルをダウンロード」ボタンから<br>
+            ZIPファイルをダウンロードできます。</p>
+        </div>
+    `;
+    
+    document.getElementById('imageInfo').textContent = `完了: ${AppState.processedFiles.size}個のファイルを処理しました`;
+    document.getElementById('applyButton').disabled = true;
+}
+
+/**
+ * ダウンロードボタンの状態更新
+ */
+function updateDownloadButton() {
+    const button = document.getElementById('downloadButton');
+    button.disabled = AppState.processedFiles.size === 0 || ZipExportState.running;
+    
+    button.textContent = AppState.processedFiles.size > 0
+        ? `💾 リネーム済みファイルをダウンロード (${AppState.processedFiles.size}個のファイル)`
+        : '💾 リネーム済みファイルをダウンロード (ZIP)';
+}
+
+/**
+ * ZIPファイルをダウンロード
+ */
+async function downloadZip() {
+    if (ZipExportState.running) return;
+    
+    try {
+        // 同名ファイルはZIP内で上書きされるため、解決するまで出力しない
+        const duplicates = findDuplicateGroups();
+        renderDuplicatePanel(duplicates);
+        if (duplicates.length > 0) {
+            updateStatus('downloadStatus', `❌ 同じファイル名になるファイルが${duplicates.length}組あります。解決してからダウンロードしてください`, 'error');
+            return;
+        }
+        
+        // ペアモードではP/Mがそろっていない番号を確認
+        const pairProblems = AppState.settings.pairMode ? findPairProblems() : [];
+        renderPairProblems(pairProblems);
+        if (pairProblems.length > 0 &&
+            !confirm(`P/Mのペアに問題がある番号が${pairProblems.length}件あります。\nこのままダウンロードしますか？`)) {
+            updateStatus('downloadStatus', '⚠️ ペアの問題を確認してください', 'error');
+            return;
+        }
+        
+        startZipExport();
+        updateStatus('downloadStatus', 'ZIPファイルを生成中...', 'info');
+        
+        const options = { ...getHeicConversionOptions(), profile: AppState.settings.outputProfile };
+        const zipOptions = { ...DEFAULT_ZIP_OPTIONS, ...AppState.settings.zipOptions };
+        const total = Array.from(AppState.processedFiles)
+            .filter(([fileKey, data]) => needsOutputConversion(data, options, AppState.imageEdits.get(fileKey))).length;
+        const usedNames = new Set(Array.from(AppState.processedFiles.values())
+            .map(data => `${data.newName}.${data.extension}`.toLowerCase()));
+        const numberWidth = Math.max(...Array.from(AppState.processedFiles.values(), data => String(data.fields.number).length));
+        const outputs = new Map();
+        const items = [];
+        const conversionFailures = [];
+        let converted = 0;
+        let embedSkipped = 0;
+        let originalBytes = 0;
+        let outputBytes = 0;
+        
+        // 処理済みファイルを出力用に準備（出力プロファイルによる縮小・HEICの変換・回転やトリミングの適用を含む）
+        for (const [fileKey, data] of AppState.processedFiles) {
+            if (ZipExportState.cancelled) break;
             const fullFilename = `${data.newName}.${data.extension}`;
-            zip.file(fullFilename, data.blob);
+            const edit = AppState.imageEdits.get(fileKey) || null;
+            if (needsOutputConversion(data, options, edit)) {
+                updateStatus('downloadStatus', `画像を変換中... (${++converted}/${total})`, 'info');
+                updateZipProgress(converted / total);
+            }
+            
+            const output = await prepareOutputFile(data, options, usedNames, edit);
+            if (output.error) {
+                // 変換できなかったファイルは元のまま出力する
+                conversionFailures.push({ name: fullFilename, reason: output.error });
+            }
+            
+            // 入力内容を画像のメタデータに埋め込む（JPEG・PNG以外はそのまま）
+            let blob = output.blob;
+            if (zipOptions.embedMetadata) {
+                const embedded = await embedRecordMetadata(blob, buildEmbeddedRecord(data, output.filename));
+                if (embedded) {
+                    blob = embedded;
+                } else {
+                    embedSkipped++;
+                }
+            }
+            
+            const folder = getZipFolder(data.fields, zipOptions.layout, numberWidth);
+            // 変換後のBlobには更新日時がないため、ZIP内の日時は元の写真の更新日時にそろえる
+            const lastModified = data.blob.lastModified;
+            const entries = [{ path: `${folder}${output.filename}`, blob, lastModified }];
+            outputs.set(fileKey, { filename: output.filename, folder: folder.replace(/\/$/, '') });
+            if (output.keepOriginal) {
+                entries.push({ path: `${HEIC_ORIGINALS_FOLDER}/${folder}${fullFilename}`, blob: data.blob, lastModified });
+            }
+            // 元のHEICは変換後のファイルと同じZIPに入れる
+            items.push(entries);
+            originalBytes += data.blob.size;
+            outputBytes += blob.size;
         }
+        terminateResizeWorker();
+        if (ZipExportState.cancelled) {
+            throw new Error(ZIP_CANCELLED_MESSAGE);
+        }
+        renderConversionReport(conversionFailures);
         
-        // ZIPを生成
-        const content = await zip.generateAsync({ type: 'blob' });
+        // 分割サイズごとにZIPを分け、メタデータのマニフェストは1つ目に入れる
+        const archives = splitZipArchives(items, zipOptions.splitMb > 0 ? zipOptions.splitMb * 1024 * 1024 : MAX_ZIP_BYTES);
+        const manifestFormat = document.getElementById('manifestFormatSelect').value;
+        if (manifestFormat !== 'none') {
+            archives[0].unshift(createManifestEntry(manifestFormat, outputs));
+        }
         
-        // ダウンロード
+        // ZIPをすべて生成してからダウンロードする
         const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-        saveAs(content, `renamed_images_${timestamp}.zip`);
+        const totalBytes = archives.flat().reduce((sum, entry) => sum + entry.blob.size, 0);
+        const zipParts = [];
+        let writtenBytes = 0;
+        for (let i = 0; i < archives.length; i++) {
+            const label = archives.length > 1 ? `ZIPファイルを生成中... (${i + 1}/${archives.length})` : 'ZIPファイルを生成中...';
+            const content = await generateZipArchive(archives[i], zipOptions.compression, (done) => {
+                const percent = Math.round((writtenBytes + done) / totalBytes * 100);
+                updateStatus('downloadStatus', `${label} ${percent}%`, 'info');
+                updateZipProgress((writtenBytes + done) / totalBytes);
+            });
+            writtenBytes += archives[i].reduce((sum, entry) => sum + entry.blob.size, 0);
+            
+            const suffix = archives.length > 1 ? `_part${i + 1}` : '';
+            zipParts.push({ content, filename: `renamed_images_${timestamp}${suffix}.zip` });
+        }
+        
+        // 生成に時間がかかるとボタンを押した操作の扱いが切れ、2つ目以降の保存がブロックされるため、
+        // 複数に分けた場合はZIPごとの保存ボタンを表示する
+        if (zipParts.length === 1) {
+            saveAs(zipParts[0].content, zipParts[0].filename);
+        } else {
+            renderZipPartList(zipParts);
+        }
         
-        updateStatus('downloadStatus', `✅ ${AppState.processedFiles.size}個のファイルをダウンロードしました`, 'success');
+        const sizeSummary = outputBytes !== originalBytes
+            ? `（画像の合計 ${formatBytes(originalBytes)} → ${formatBytes(outputBytes)}）`
+            : '';
+        const resultSummary = zipParts.length > 1
+            ? `${AppState.processedFiles.size}個のファイルを${zipParts.length}個のZIPに分けて作成しました。下のボタンから1つずつ保存してください`
+            : `${AppState.processedFiles.size}個のファイルをダウンロードしました`;
+        const embedSummary = embedSkipped > 0 ? `（JPEG・PNG以外の${embedSkipped}件には入力内容を埋め込んでいません）` : '';
+        if (conversionFailures.length > 0) {
+            updateStatus('downloadStatus', `⚠️ ${resultSummary}${sizeSummary}。変換できなかった${conversionFailures.length}件は元の形式のまま保存しました${embedSummary}`, 'info');
+        } else {
+            updateStatus('downloadStatus', `✅ ${resultSummary}${sizeSummary}${embedSummary}`, 'success');
+        }
         
     } catch (error) {
-        updateStatus('downloadStatus', `❌ エラー: ${error.message}`, 'error');
-        console.error(error);
+        terminateResizeWorker();
+        if (ZipExportState.cancelled) {
+            updateStatus('downloadStatus', '⚠️ ダウンロードを中止しました', 'info');
+        } else {
+            updateStatus('downloadStatus', `❌ エラー: ${error.message}`, 'error');
+            console.error(error);
+        }
+    } finally {
+        finishZipExport();
+    }
+}
+
+// HEICを変換したときに元ファイルを残すZIP内のフォルダ
+const HEIC_ORIGINALS_FOLDER = 'originals';
+
+/**
+ * ダウンロード欄のHEIC変換設定を取得
+ */
+function getHeicConversionOptions() {
+    return {
+        enabled: document.getElementById('convertHeicCheckbox').checked,
+        quality: Number(document.getElementById('heicQualityInput').value) / 100,
+        keepOriginals: document.getElementById('keepHeicOriginalsCheckbox').checked
+    };
+}
+
+/**
+ * HEIC変換設定の表示を更新
+ */
+function updateHeicOptions() {
+    document.getElementById('heicOptionsDetail').hidden = !document.getElementById('convertHeicCheckbox').checked;
+    document.getElementById('heicQualityValue').textContent = document.getElementById('heicQualityInput').value;
+}
+
+/**
+ * 変換できなかったファイルを一覧表示
+ */
+function renderConversionReport(failures) {
+    const panel = document.getElementById('conversionPanel');
+    const list = document.getElementById('conversionList');
+    list.innerHTML = '';
+    
+    failures.forEach(failure => {
+        const item = document.createElement('li');
+        item.textContent = `${failure.name}: ${failure.reason}`;
+        list.appendChild(item);
+    });
+    panel.style.display = failures.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * 写真区分・特記事項のコード → 表示名
+ */
+const PHOTO_TYPE_LABELS = { P: '部品写真', M: '素材込み' };
+const NOTES_LABELS = { '0': 'なし', '1': 'あり' };
+
+/**
+ * マニフェストの列定義（見出し → レコードからの値）
+ */
+const MANIFEST_COLUMNS = [
+    ['元ファイル名', (data, fileKey) => fileKey],
+    ['新ファイル名', (data, fileKey, output) => output?.filename || `${data.newName}.${data.extension}`],
+    ['番号', (data) => data.fields.number],
+    ['実施者', (data) => data.fields.implementer],
+    ['実施者ID', (data) => AppState.implementers[data.fields.implementer] || ''],
+    ['部品名', (data) => data.fields.partName],
+    ['重量', (data) => formatWeightForOutput(data.fields).weight],
+    ['単位', (data) => formatWeightForOutput(data.fields).unit],
+    ['素材区分', (data) => data.fields.materialCategory],
+    ['素材名', (data) => data.fields.material],
+    ['素材ID', (data) => AppState.materialNameToId[data.fields.material] || ''],
+    ['加工方法', (data) => data.fields.processing],
+    ['加工ID', (data) => AppState.processingMethods[data.fields.processing] || ''],
+    ['写真区分', (data) => PHOTO_TYPE_LABELS[data.fields.photoType] || ''],
+    ['写真区分ID', (data) => data.fields.photoType],
+    ['特記事項', (data) => NOTES_LABELS[data.fields.notes] || ''],
+    ['特記事項ID', (data) => data.fields.notes],
+    ['フォルダ', (data, fileKey, output) => output?.folder || '']
+];
+
+/**
+ * マニフェストのシートを作成（1ファイル1行）
+ * outputs: ZIP内の名前（形式変換で変わった場合）とフォルダ（識別キー → { filename, folder }）
+ * 「元ファイル名」列には識別キー（フォルダから読み込んだ画像はパス）を出力する
+ */
+function buildManifestSheet(outputs = new Map()) {
+    const entries = Array.from(AppState.processedFiles.entries())
+        .sort(([, a], [, b]) => naturalSort(a.newName, b.newName));
+    
+    const rows = [MANIFEST_COLUMNS.map(([header]) => header)];
+    entries.forEach(([fileKey, data]) => {
+        rows.push(MANIFEST_COLUMNS.map(([, getValue]) => getValue(data, fileKey, outputs.get(fileKey))));
+    });
+    
+    return XLSX.utils.aoa_to_sheet(rows);
+}
+
+/**
+ * ZIPに入れるマニフェストのファイルを作成
+ */
+function createManifestEntry(format, outputs) {
+    const sheet = buildManifestSheet(outputs);
+    
+    if (format === 'csv') {
+        // Excelで文字化けしないようBOMを付与
+        return { path: 'manifest.csv', blob: new Blob(['\uFEFF' + XLSX.utils.sheet_to_csv(sheet)], { type: 'text/csv' }) };
     }
+    
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'マニフェスト');
+    const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    return { path: 'manifest.xlsx', blob: new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }) };
 }
 
 /**
@@ -776,13 +2141,20 @@ function updateStatus(elementId, message, type = 'info') {
     element.style.display = message ? 'block' : 'none';
 }
 
+/**
+ * マスターデータが読み込み済みか
+ */
+function hasMasterData() {
+    return Object.keys(AppState.materials).length > 0 && 
+           Object.keys(AppState.processingMethods).length > 0 &&
+           Object.keys(AppState.implementers).length > 0;
+}
+
 /**
  * 準備完了状態をチェック
  */
 function checkReadyState() {
-    const hasExcel = Object.keys(AppState.materials).length > 0 && 
-                     Object.keys(AppState.processingMethods).length > 0 &&
-                     Object.keys(AppState.implementers).length > 0;
+    const hasExcel = hasMasterData();
     const hasImages = AppState.imageFiles.length > 0;
     
     AppState.isReady = hasExcel && hasImages;
@@ -806,7 +2178,5763 @@ function enableInputFields() {
     document.getElementById('processingSelect').disabled = false;
     document.getElementById('photoTypeSelect').disabled = false;
     document.getElementById('notesSelect').disabled = false;
+    document.getElementById('gridViewButton').disabled = false;
+    ['skipButton', 'nextUnprocessedButton', 'excludeButton', 'editImageButton', 'jumpInput', 'jumpButton'].forEach(id => {
+        document.getElementById(id).disabled = false;
+    });
+    document.getElementById('jumpInput').max = AppState.imageFiles.length;
+    syncComboboxes();
     
     // 部品名フィールドにフォーカス
     document.getElementById('partNameInput').focus();
 }
+
+// ============================================
+// 作業セッションの自動保存（IndexedDB）
+// ============================================
+
+const SESSION_DB_NAME = 'ImageRenamerLCA';
+const SESSION_DB_VERSION = 1;
+
+// 保存しておくセッションの数（これより古いものは新しいバッチを読み込んだときに削除）
+const MAX_SAVED_SESSIONS = 5;
+let sessionDbPromise = null;
+
+/**
+ * セッション保存用のIndexedDBを開く
+ */
+function openSessionDb() {
+    if (sessionDbPromise) return sessionDbPromise;
+    
+    sessionDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('このブラウザではIndexedDBを利用できません'));
+            return;
+        }
+        
+        const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('sessions')) {
+                db.createObjectStore('sessions', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('images')) {
+                // 画像は [セッションID, 並び順] をキーに1件ずつ保存
+                db.createObjectStore('images', { keyPath: ['sessionId', 'index'] });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    
+    return sessionDbPromise;
+}
+
+/**
+ * IDBRequestをPromiseに変換
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * トランザクション完了をPromiseに変換
+ */
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * 指定セッションの画像キー範囲
+ */
+function sessionImageRange(sessionId) {
+    return IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+}
+
+/**
+ * 新しい画像バッチでセッションを開始（画像を保存）
+ */
+async function startNewSession() {
+    AppState.sessionId = `session-${Date.now()}`;
+    AppState.sessionCreatedAt = new Date().toISOString();
+    
+    try {
+        await saveSessionImages();
+        await saveSessionState();
+        await pruneOldSessions();
+    } catch (error) {
+        console.warn('セッションの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 古いセッションを削除し、新しい順に MAX_SAVED_SESSIONS 件だけ残す
+ * （セッションごとに画像をすべて保存するため、放っておくと保存容量の上限に達する）
+ */
+async function pruneOldSessions() {
+    const sessions = await listSessions();
+    const stale = sessions.filter(session => session.id !== AppState.sessionId).slice(MAX_SAVED_SESSIONS - 1);
+    for (const session of stale) {
+        await deleteSession(session.id);
+    }
+}
+
+/**
+ * 現在の並び順で画像をセッションに保存
+ */
+async function saveSessionImages() {
+    if (!AppState.sessionId) return;
+    
+    const db = await openSessionDb();
+    const tx = db.transaction('images', 'readwrite');
+    const store = tx.objectStore('images');
+    // 元に戻す操作で画像が減った場合に備えて、以前の分を消してから保存し直す
+    store.delete(sessionImageRange(AppState.sessionId));
+    AppState.imageFiles.forEach((file, index) => {
+        store.put({ sessionId: AppState.sessionId, index, file, key: getFileKey(file) });
+    });
+    await idbTransactionDone(tx);
+}
+
+/**
+ * 現在の作業状態（マスター、処理済みレコード、位置）を保存
+ */
+async function saveSessionState() {
+    if (!AppState.sessionId) return;
+    
+    const records = [];
+    AppState.processedFiles.forEach((data, fileKey) => {
+        records.push([fileKey, { newName: data.newName, extension: data.extension, fields: data.fields, suffix: data.suffix }]);
+    });
+    
+    const session = {
+        id: AppState.sessionId,
+        createdAt: AppState.sessionCreatedAt,
+        updatedAt: new Date().toISOString(),
+        masterFileName: AppState.masterFileName,
+        master: {
+            materials: AppState.materials,
+            processingMethods: AppState.processingMethods,
+            implementers: AppState.implementers,
+            materialCategories: AppState.materialCategories,
+            materialNameToId: AppState.materialNameToId
+        },
+        settings: AppState.settings,
+        drafts: Array.from(AppState.draftFields),
+        skipped: Array.from(AppState.skippedFiles),
+        excluded: Array.from(AppState.excludedFiles),
+        edits: Array.from(AppState.imageEdits),
+        imageCount: AppState.imageFiles.length,
+        currentIndex: AppState.currentIndex,
+        records
+    };
+    
+    try {
+        const db = await openSessionDb();
+        const tx = db.transaction('sessions', 'readwrite');
+        tx.objectStore('sessions').put(session);
+        await idbTransactionDone(tx);
+    } catch (error) {
+        console.warn('セッションの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 保存済みセッションの一覧を取得（新しい順）
+ */
+async function listSessions() {
+    const db = await openSessionDb();
+    const sessions = await idbRequest(db.transaction('sessions').objectStore('sessions').getAll());
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * 保存済みセッションを削除
+ */
+async function deleteSession(sessionId) {
+    const db = await openSessionDb();
+    const tx = db.transaction(['sessions', 'images'], 'readwrite');
+    tx.objectStore('sessions').delete(sessionId);
+    tx.objectStore('images').delete(sessionImageRange(sessionId));
+    await idbTransactionDone(tx);
+    
+    if (AppState.sessionId === sessionId) {
+        AppState.sessionId = null;
+    }
+}
+
+/**
+ * すべての保存済みセッションを削除
+ */
+async function deleteAllSessions() {
+    const db = await openSessionDb();
+    const tx = db.transaction(['sessions', 'images'], 'readwrite');
+    tx.objectStore('sessions').clear();
+    tx.objectStore('images').clear();
+    await idbTransactionDone(tx);
+    AppState.sessionId = null;
+}
+
+/**
+ * 保存済みセッションから作業を再開
+ */
+async function resumeSession(sessionId) {
+    const db = await openSessionDb();
+    const tx = db.transaction(['sessions', 'images']);
+    const session = await idbRequest(tx.objectStore('sessions').get(sessionId));
+    const images = await idbRequest(tx.objectStore('images').getAll(sessionImageRange(sessionId)));
+    
+    if (!session || images.length === 0) {
+        throw new Error('保存済みセッションが見つかりません');
+    }
+    
+    // マスターデータと設定を復元
+    Object.assign(AppState, session.master);
+    if (session.settings) {
+        applyFilenameSettings(session.settings);
+        updateSettingsForm();
+        syncSettingControls();
+    }
+    AppState.masterFileName = session.masterFileName;
+    updateSelect('materialCategorySelect', Object.keys(AppState.materialCategories));
+    updateSelect('processingSelect', Object.keys(AppState.processingMethods));
+    updateSelect('implementerSelect', Object.keys(AppState.implementers));
+    
+    // 画像と処理済みレコードを復元
+    images.sort((a, b) => a.index - b.index);
+    AppState.imageFiles = images.map(image => {
+        if (image.key) fileKeys.set(image.file, image.key);
+        return image.file;
+    });
+    AppState.currentIndex = Math.min(session.currentIndex, AppState.imageFiles.length - 1);
+    AppState.processedFiles.clear();
+    AppState.draftFields = new Map(session.drafts || []);
+    AppState.skippedFiles = new Set(session.skipped || []);
+    AppState.excludedFiles = new Set(session.excluded || []);
+    AppState.imageEdits = new Map(session.edits || []);
+    closeImageEditor();
+    clearThumbnailCache();
+    
+    const filesByKey = new Map(AppState.imageFiles.map(file => [getFileKey(file), file]));
+    session.records.forEach(([fileKey, data]) => {
+        const file = filesByKey.get(fileKey);
+        if (!file) return;
+        AppState.processedFiles.set(fileKey, { ...data, blob: file });
+    });
+    clearHistory();
+    renderBatchStatus();
+    updateDecoderIndicator();
+    checkDuplicatePhotos().catch(error => console.warn('重複・類似写真のチェックに失敗しました:', error));
+    
+    AppState.sessionId = session.id;
+    AppState.sessionCreatedAt = session.createdAt;
+    
+    if (hasMasterData()) {
+        document.getElementById('excelFileName').textContent = session.masterFileName || 'IDマスター（保存済み）';
+        updateStatus('excelStatus', `✅ 保存済みセッションから復元: 素材${Object.keys(AppState.materials).length}件、加工方法${Object.keys(AppState.processingMethods).length}件、実施者${Object.keys(AppState.implementers).length}件`, 'success');
+    }
+    document.getElementById('imageFileName').textContent = `${AppState.imageFiles.length}個のファイルを選択`;
+    updateStatus('imageStatus', `✅ ${AppState.imageFiles.length}個の画像を復元しました（処理済み ${AppState.processedFiles.size}件）`, 'success');
+    
+    checkReadyState();
+    
+    if (AppState.isReady) {
+        displayCurrentImage();
+        updateNavigationButtons();
+        syncFormWithCurrentImage();
+    }
+    updateDownloadButton();
+}
+
+/**
+ * 起動時に保存済みセッションがあれば再開を提案
+ */
+async function checkSavedSessions() {
+    try {
+        const sessions = await listSessions();
+        renderSessionPanel(sessions);
+    } catch (error) {
+        console.warn('保存済みセッションの確認に失敗しました:', error);
+    }
+}
+
+/**
+ * 保存済みセッションの管理パネルを開く
+ */
+async function openSessionManager() {
+    try {
+        const sessions = await listSessions();
+        if (sessions.length === 0) {
+            alert('保存済みのセッションはありません。');
+            return;
+        }
+        renderSessionPanel(sessions);
+    } catch (error) {
+        alert(`エラー: ${error.message}`);
+        console.error(error);
+    }
+}
+
+/**
+ * 保存済みセッションパネルを表示
+ */
+function renderSessionPanel(sessions) {
+    const panel = document.getElementById('sessionPanel');
+    const list = document.getElementById('sessionList');
+    list.innerHTML = '';
+    
+    if (sessions.length === 0) {
+        panel.hidden = true;
+        return;
+    }
+    
+    sessions.forEach(session => {
+        const item = document.createElement('div');
+        item.className = 'session-item';
+        
+        const info = document.createElement('span');
+        const updatedAt = new Date(session.updatedAt).toLocaleString('ja-JP');
+        info.textContent = `${updatedAt} - 画像${session.imageCount}枚（処理済み${session.records.length}件、${session.currentIndex + 1}枚目で中断）`;
+        item.appendChild(info);
+        
+        const resumeButton = document.createElement('button');
+        resumeButton.className = 'btn btn-primary btn-small';
+        resumeButton.textContent = '▶ 再開';
+        resumeButton.addEventListener('click', async () => {
+            try {
+                await resumeSession(session.id);
+                panel.hidden = true;
+            } catch (error) {
+                alert(`エラー: ${error.message}`);
+                console.error(error);
+            }
+        });
+        item.appendChild(resumeButton);
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'btn btn-secondary btn-small';
+        deleteButton.textContent = '🗑️ 削除';
+        deleteButton.addEventListener('click', async () => {
+            try {
+                await deleteSession(session.id);
+                updateStatus('sessionStatus', '✅ セッションを削除しました', 'success');
+                checkSavedSessions();
+            } catch (error) {
+                updateStatus('sessionStatus', `❌ セッションを削除できませんでした: ${error.message}`, 'error');
+                console.error(error);
+            }
+        });
+        item.appendChild(deleteButton);
+        
+        list.appendChild(item);
+    });
+    
+    panel.hidden = false;
+}
+
+// ============================================
+// ファイル名の設定
+// ============================================
+
+/**
+ * 保存済みの設定を読み込む
+ */
+function loadSettings() {
+    const defaults = { filenameTemplate: DEFAULT_FILENAME_TEMPLATE, projectCode: '', autoSanitize: true, ...DEFAULT_WEIGHT_FORMAT, pairMode: false, appendImages: false, imageSort: 'name', outputProfile: DEFAULT_OUTPUT_PROFILE, zipOptions: DEFAULT_ZIP_OPTIONS };
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+        return { ...defaults, ...saved };
+    } catch (error) {
+        return defaults;
+    }
+}
+
+/**
+ * 設定をlocalStorageに保存
+ */
+function saveSettings() {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(AppState.settings));
+    } catch (error) {
+        console.warn('設定の保存に失敗しました:', error);
+    }
+}
+
+/**
+ * ファイル名の設定を適用し、プレビューと処理済みファイル名を更新
+ */
+function applyFilenameSettings(settings) {
+    AppState.settings = { ...AppState.settings, ...settings };
+    saveSettings();
+    
+    // 処理済みファイルも新しい形式で名前を付け直す
+    AppState.processedFiles.forEach(data => {
+        data.newName = recordBaseName(data);
+    });
+    if (AppState.processedFiles.size > 0) {
+        renderBatchStatus();
+    }
+    
+    updateFilenamePreview();
+    saveSessionState();
+}
+
+/**
+ * 設定フォームに現在の設定を反映
+ */
+function updateSettingsForm() {
+    document.getElementById('templateInput').value = AppState.settings.filenameTemplate;
+    document.getElementById('projectCodeInput').value = AppState.settings.projectCode;
+    document.getElementById('autoSanitizeCheckbox').checked = AppState.settings.autoSanitize;
+    document.getElementById('weightUnitSelect').value = AppState.settings.weightUnit;
+    document.getElementById('weightDecimalsSelect').value = AppState.settings.weightDecimals;
+    document.getElementById('weightTrimZerosCheckbox').checked = AppState.settings.weightTrimZeros;
+    document.getElementById('templateError').textContent = '';
+}
+
+/**
+ * 設定パネル以外にある設定の入力欄（ペアモード・画像の追加・並び順・出力プロファイル・ZIPの形式）に現在の設定を反映
+ * セッションの再開で設定を戻したときに、古い表示のまま次の変更で上書きされないようにする
+ */
+function syncSettingControls() {
+    document.getElementById('pairModeCheckbox').checked = AppState.settings.pairMode;
+    document.getElementById('appendImagesCheckbox').checked = AppState.settings.appendImages;
+    document.getElementById('imageSortSelect').value = AppState.settings.imageSort;
+    syncOutputProfileForm();
+    syncZipOptionsForm();
+    if (!AppState.settings.pairMode) {
+        renderPairProblems([]);
+    }
+}
+
+/**
+ * 設定フォームの初期化
+ */
+function initializeSettingsForm() {
+    const help = document.getElementById('templateHelp');
+    help.textContent = '使用可能: ' + Object.entries(FILENAME_PLACEHOLDERS)
+        .map(([key, placeholder]) => `{${key}} ${placeholder.label}`)
+        .join(' / ') + '（{number:03} で3桁ゼロ埋め）';
+    
+    updateSettingsForm();
+    
+    document.getElementById('templateInput').addEventListener('input', handleSettingsInput);
+    document.getElementById('projectCodeInput').addEventListener('input', handleSettingsInput);
+    document.getElementById('autoSanitizeCheckbox').addEventListener('change', handleSettingsInput);
+    ['weightUnitSelect', 'weightDecimalsSelect', 'weightTrimZerosCheckbox'].forEach(id => {
+        document.getElementById(id).addEventListener('change', handleSettingsInput);
+    });
+    document.getElementById('resetTemplateButton').addEventListener('click', () => {
+        applyFilenameSettings({ filenameTemplate: DEFAULT_FILENAME_TEMPLATE, projectCode: '', autoSanitize: true, ...DEFAULT_WEIGHT_FORMAT });
+        updateSettingsForm();
+    });
+}
+
+/**
+ * 設定フォーム入力時の処理
+ */
+function handleSettingsInput() {
+    const filenameTemplate = document.getElementById('templateInput').value.trim();
+    const projectCode = document.getElementById('projectCodeInput').value.trim();
+    const autoSanitize = document.getElementById('autoSanitizeCheckbox').checked;
+    const weightUnit = document.getElementById('weightUnitSelect').value;
+    const weightDecimals = document.getElementById('weightDecimalsSelect').value;
+    const weightTrimZeros = document.getElementById('weightTrimZerosCheckbox').checked;
+    const error = validateFilenameTemplate(filenameTemplate);
+    
+    if (error) {
+        document.getElementById('templateError').textContent = `⚠️ ${error}`;
+        return;
+    }
+    
+    document.getElementById('templateError').textContent = '';
+    applyFilenameSettings({ filenameTemplate, projectCode, autoSanitize, weightUnit, weightDecimals, weightTrimZeros });
+}
+
+// ============================================
+// 重量の検証と単位
+// ============================================
+
+// 各単位の kg 換算値
+const WEIGHT_UNITS = {
+    kg: 1,
+    g: 0.001,
+    t: 1000,
+    mg: 0.000001,
+    lb: 0.45359237
+};
+// 単位をそろえたときの小数点以下の最大桁数（桁数の指定がない場合）
+const CONVERTED_WEIGHT_MAX_DECIMALS = 6;
+const MAX_WEIGHT_DECIMALS = 4;
+
+/**
+ * 重量の入力を半角の数値表記にそろえる
+ * 全角数字・全角ピリオドは半角に、「0,5」のような小数点のカンマはピリオドにする
+ */
+function normalizeWeightText(value) {
+    let text = String(value ?? '').normalize('NFKC').replace(/\s/g, '');
+    if (text.includes(',')) {
+        // 「1,500」「1,234.5」のような桁区切りは取り除き、それ以外のカンマは小数点とみなす
+        text = /^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+    }
+    if (/^\.\d/.test(text)) {
+        text = `0${text}`;
+    }
+    return text;
+}
+
+/**
+ * 重量を数値として解釈（数値でなければ null）
+ */
+function parseWeight(value) {
+    const text = normalizeWeightText(value);
+    if (!/^\d+(\.\d+)?$/.test(text)) return null;
+    return { text, value: Number(text) };
+}
+
+/**
+ * 重量の入力の問題点（問題がなければ空文字）
+ */
+function validateWeight(value) {
+    if (!value) return '';
+    const parsed = parseWeight(value);
+    if (!parsed) {
+        return `重量「${value}」は数値ではありません（例: 0.5）`;
+    }
+    if (parsed.value <= 0) {
+        return '重量は0より大きい値を入力してください';
+    }
+    return '';
+}
+
+/**
+ * 指定の桁数で四捨五入（浮動小数点の誤差で 1.005 → 1.00 とならないよう指数表記で丸める）
+ */
+function roundWeight(value, digits) {
+    return Number(`${Math.round(Number(`${value}e${digits}`))}e-${digits}`);
+}
+
+/**
+ * 設定（単位の統一・小数の書式）に合わせた出力用の重量と単位
+ */
+function formatWeightForOutput(fields) {
+    const { weightUnit, weightDecimals, weightTrimZeros } = AppState.settings;
+    const parsed = parseWeight(fields.weight);
+    if (!parsed) {
+        return { weight: fields.weight, unit: fields.unit };
+    }
+    
+    let value = parsed.value;
+    let unit = fields.unit;
+    const convert = weightUnit && weightUnit !== unit && WEIGHT_UNITS[unit] !== undefined;
+    if (convert) {
+        value = value * WEIGHT_UNITS[unit] / WEIGHT_UNITS[weightUnit];
+        unit = weightUnit;
+    }
+    
+    let text = parsed.text;
+    if (weightDecimals !== '') {
+        const digits = Number(weightDecimals);
+        text = roundWeight(value, digits).toFixed(digits);
+    } else if (convert) {
+        text = roundWeight(value, CONVERTED_WEIGHT_MAX_DECIMALS)
+            .toFixed(CONVERTED_WEIGHT_MAX_DECIMALS)
+            .replace(/\.?0+$/, '');
+    }
+    if (weightTrimZeros && text.includes('.')) {
+        text = text.replace(/\.?0+$/, '');
+    }
+    
+    return { weight: text, unit };
+}
+
+/**
+ * 重量欄の入力確定時に表記をそろえる
+ */
+function handleWeightChange(event) {
+    const normalized = normalizeWeightText(event.target.value);
+    if (normalized !== event.target.value) {
+        event.target.value = normalized;
+        updateFilenamePreview();
+    }
+}
+
+// ============================================
+// ファイル名の安全性チェックと重複検出
+// ============================================
+
+// Windowsで使えない文字、制御文字、空白（全角空白を含む）
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|\u0000-\u001f\s]/;
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\.|$)/i;
+const MAX_FILENAME_BYTES = 255;
+// 展開先のフォルダを含めてもWindowsのパス長制限(260文字)に収まる目安
+const LONG_FILENAME_WARNING_LENGTH = 150;
+const DUPLICATE_SUFFIX_SEPARATOR = '-';
+
+/**
+ * 値に含まれるファイル名に使えない文字（区切り文字を含む）
+ */
+function findUnsafeChars(value, separators) {
+    const unsafe = Array.from(value).filter(ch => UNSAFE_FILENAME_CHARS.test(ch) || separators.has(ch));
+    return Array.from(new Set(unsafe));
+}
+
+/**
+ * ファイル名に使えない文字を置換
+ */
+function sanitizeFilenameValue(value, separators) {
+    // 区切り文字と衝突しない置換文字を選ぶ
+    const replacement = ['-', '~', '+'].find(ch => !separators.has(ch)) || '';
+    return Array.from(value)
+        .map(ch => (UNSAFE_FILENAME_CHARS.test(ch) || separators.has(ch)) ? replacement : ch)
+        .join('')
+        .replace(/[.\s]+$/, '');
+}
+
+/**
+ * 表示用の文字名
+ */
+function describeChar(ch) {
+    if (ch === ' ') return '空白';
+    if (ch === '\u3000') return '全角空白';
+    if (/\s/.test(ch)) return '空白文字';
+    if (/[\u0000-\u001f]/.test(ch)) return '制御文字';
+    return `「${ch}」`;
+}
+
+/**
+ * レコードのファイル名の問題点を検出
+ * errors: 適用できない問題 / warnings: 適用は可能な問題
+ */
+function checkFilenameIssues(fields, extension, fileKey) {
+    const errors = [];
+    const warnings = [];
+    const template = AppState.settings.filenameTemplate;
+    const separators = getTemplateSeparators(template);
+    
+    // 重量は数値のみ
+    const weightError = validateWeight(fields.weight);
+    if (weightError) {
+        errors.push(weightError);
+    } else if (fields.weight && Number(formatWeightForOutput(fields).weight) === 0) {
+        warnings.push('単位の変換・小数の桁数の設定により、ファイル名の重量が0になります');
+    }
+    
+    // 各項目の使用できない文字
+    const usedKeys = new Set(Array.from(template.matchAll(TEMPLATE_TOKEN_REGEX), match => match[1]));
+    usedKeys.forEach(key => {
+        const placeholder = FILENAME_PLACEHOLDERS[key];
+        if (!placeholder) return;
+        const unsafe = findUnsafeChars(String(placeholder.value(fields) ?? ''), separators);
+        if (unsafe.length === 0) return;
+        
+        const message = `${placeholder.label}に使用できない文字 ${unsafe.map(describeChar).join(' ')} が含まれています`;
+        if (AppState.settings.autoSanitize) {
+            warnings.push(`${message}（自動で置換します）`);
+        } else {
+            errors.push(message);
+        }
+    });
+    
+    const baseName = buildFilename(fields);
+    if (!baseName) {
+        return { errors, warnings };
+    }
+    const fullName = `${baseName}.${extension}`;
+    
+    // 長さ
+    if (new TextEncoder().encode(fullName).length > MAX_FILENAME_BYTES) {
+        errors.push(`ファイル名が長すぎます（${MAX_FILENAME_BYTES}バイトを超えています）`);
+    } else if (fullName.length > LONG_FILENAME_WARNING_LENGTH) {
+        warnings.push(`ファイル名が${fullName.length}文字あります。展開先によってはWindowsのパス長制限を超える可能性があります`);
+    }
+    
+    if (WINDOWS_RESERVED_NAMES.test(fullName)) {
+        errors.push('Windowsの予約名（CON、NULなど）はファイル名に使用できません');
+    }
+    
+    // 他の処理済みファイルとの重複（Windowsでは大文字小文字を区別しない）
+    AppState.processedFiles.forEach((data, key) => {
+        if (key !== fileKey && `${data.newName}.${data.extension}`.toLowerCase() === fullName.toLowerCase()) {
+            warnings.push(`「${key}」と同じファイル名になります`);
+        }
+    });
+    
+    return { errors, warnings };
+}
+
+/**
+ * ファイル名の問題点を表示
+ */
+function renderFilenameIssues({ errors, warnings }) {
+    const container = document.getElementById('filenameIssues');
+    container.innerHTML = '';
+    
+    errors.forEach(message => {
+        const item = document.createElement('div');
+        item.className = 'issue-item issue-error';
+        item.textContent = `❌ ${message}`;
+        container.appendChild(item);
+    });
+    warnings.forEach(message => {
+        const item = document.createElement('div');
+        item.className = 'issue-item issue-warning';
+        item.textContent = `⚠️ ${message}`;
+        container.appendChild(item);
+    });
+}
+
+/**
+ * 同じ出力ファイル名になる処理済みファイルのグループを検出
+ */
+function findDuplicateGroups() {
+    const groups = new Map();
+    AppState.processedFiles.forEach((data, fileKey) => {
+        const name = `${data.newName}.${data.extension}`.toLowerCase();
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(fileKey);
+    });
+    return Array.from(groups.values()).filter(group => group.length > 1);
+}
+
+/**
+ * 重複ファイル名の一覧と解決方法を表示
+ */
+function renderDuplicatePanel(duplicates) {
+    const panel = document.getElementById('duplicatePanel');
+    const list = document.getElementById('duplicateList');
+    list.innerHTML = '';
+    
+    if (duplicates.length === 0) {
+        panel.style.display = 'none';
+        return;
+    }
+    
+    duplicates.forEach(group => {
+        const first = AppState.processedFiles.get(group[0]);
+        const item = document.createElement('li');
+        const name = document.createElement('code');
+        name.textContent = `${first.newName}.${first.extension}`;
+        item.appendChild(name);
+        item.appendChild(document.createTextNode(` ← ${group.join(', ')}`));
+        list.appendChild(item);
+    });
+    panel.style.display = 'block';
+}
+
+/**
+ * 重複を解決（suffix: 連番サフィックスを付与 / renumber: 番号を振り直し）
+ */
+function resolveDuplicates(mode) {
+    const duplicates = findDuplicateGroups();
+    const before = captureHistorySnapshot();
+    
+    duplicates.forEach(group => {
+        // 先頭のファイルはそのまま残す
+        group.slice(1).forEach((fileKey, i) => {
+            const data = AppState.processedFiles.get(fileKey);
+            if (mode === 'renumber') {
+                data.fields.number = String(getMaxProcessedNumber() + 1);
+                data.suffix = '';
+            } else {
+                data.suffix = `${DUPLICATE_SUFFIX_SEPARATOR}${i + 2}`;
+            }
+            data.newName = recordBaseName(data);
+        });
+    });
+    if (duplicates.length > 0) {
+        pushHistory(mode === 'renumber' ? '重複の解決（番号を振り直し）' : '重複の解決（連番を付与）', before);
+    }
+    
+    renderBatchStatus();
+    renderDuplicatePanel(findDuplicateGroups());
+    updateFilenamePreview();
+    saveSessionState();
+    updateStatus('downloadStatus', `✅ ${duplicates.length}組の重複を解決しました。もう一度ダウンロードしてください`, 'success');
+}
+
+/**
+ * 処理済みファイルの最大番号
+ */
+function getMaxProcessedNumber() {
+    let max = 0;
+    AppState.processedFiles.forEach(data => {
+        const num = parseInt(data.fields.number, 10);
+        if (!isNaN(num) && num > max) max = num;
+    });
+    return max;
+}
+
+// ============================================
+// 一覧（グリッド）編集
+// ============================================
+
+// 必須項目（フォームの validateForm と同じ）
+const REQUIRED_FIELDS = {
+    implementer: '実施者',
+    partName: '部品名',
+    weight: '重量',
+    material: '素材名',
+    processing: '加工方法'
+};
+
+/**
+ * 一覧の編集列の定義
+ */
+const GRID_COLUMNS = [
+    { key: 'number', label: '番号', type: 'number' },
+    { key: 'implementer', label: '実施者', type: 'select', options: () => Object.keys(AppState.implementers) },
+    { key: 'partName', label: '部品名', type: 'text' },
+    { key: 'weight', label: '重量', type: 'text' },
+    { key: 'unit', label: '単位', type: 'select', options: () => getSelectOptionValues('unitSelect') },
+    { key: 'materialCategory', label: '素材区分', type: 'select', options: () => Object.keys(AppState.materialCategories) },
+    {
+        key: 'material',
+        label: '素材名',
+        type: 'select',
+        // 行ごとの表示では素材区分で絞り込み、一括入力では全素材を選択肢にする
+        options: (fields) => fields
+            ? AppState.materialCategories[fields.materialCategory] || []
+            : Object.keys(AppState.materialNameToId)
+    },
+    { key: 'processing', label: '加工方法', type: 'select', options: () => Object.keys(AppState.processingMethods) },
+    { key: 'photoType', label: '写真区分', type: 'select', options: () => getSelectOptionValues('photoTypeSelect') },
+    { key: 'notes', label: '特記事項', type: 'select', options: () => getSelectOptionValues('notesSelect') }
+];
+
+const GridState = {
+    selection: new Set(),
+    lastClickedIndex: null
+};
+
+/**
+ * セレクトボックスの選択肢（値）一覧
+ */
+function getSelectOptionValues(selectId) {
+    return Array.from(document.getElementById(selectId).options)
+        .map(opt => opt.value)
+        .filter(value => value !== '');
+}
+
+/**
+ * 未入力の必須項目名
+ */
+function getMissingFieldLabels(fields) {
+    return Object.keys(REQUIRED_FIELDS)
+        .filter(key => !String(fields[key] ?? '').trim())
+        .map(key => REQUIRED_FIELDS[key]);
+}
+
+/**
+ * 一覧の行の入力値（処理済み → 入力途中 → 初期値の順）
+ */
+function getRowFields(file) {
+    const record = AppState.processedFiles.get(getFileKey(file));
+    if (record) return { ...record.fields };
+    
+    const draft = AppState.draftFields.get(getFileKey(file));
+    if (draft) return { ...draft };
+    
+    return {
+        number: '',
+        implementer: '',
+        partName: '',
+        weight: '',
+        unit: getSelectOptionValues('unitSelect')[0],
+        materialCategory: '',
+        material: '',
+        processing: '',
+        photoType: 'P',
+        notes: '0'
+    };
+}
+
+/**
+ * 項目の値を設定（素材区分と素材名の整合を保つ）
+ */
+function setRecordField(fields, key, value) {
+    fields[key] = key === 'weight' ? normalizeWeightText(value) : value;
+    
+    if (key === 'materialCategory' && !(AppState.materialCategories[value] || []).includes(fields.material)) {
+        fields.material = '';
+    }
+    if (key === 'material' && value) {
+        fields.materialCategory = findMaterialCategory(value);
+    }
+}
+
+/**
+ * 一覧で編集した値を保存
+ * 必須項目がそろい問題がなければ処理済み、そうでなければ入力途中として保持
+ */
+function storeRowFields(file, fields) {
+    const extension = file.name.split('.').pop();
+    const isComplete = getMissingFieldLabels(fields).length === 0 && fields.number !== '';
+    
+    if (isComplete && !AppState.excludedFiles.has(getFileKey(file)) &&
+        checkFilenameIssues(fields, extension, getFileKey(file)).errors.length === 0) {
+        AppState.processedFiles.set(getFileKey(file), createRecord(file, fields));
+        AppState.draftFields.delete(getFileKey(file));
+    } else {
+        AppState.processedFiles.delete(getFileKey(file));
+        AppState.draftFields.set(getFileKey(file), fields);
+    }
+}
+
+/**
+ * 行の検証状態
+ */
+function getRowStatus(file, fields) {
+    if (AppState.excludedFiles.has(getFileKey(file))) {
+        return { level: 'excluded', icon: '🚫', messages: ['出力から除外されています'] };
+    }
+    
+    const missing = getMissingFieldLabels(fields);
+    if (fields.number === '') missing.unshift('番号');
+    if (missing.length > 0) {
+        return { level: 'incomplete', icon: '—', messages: [`未入力: ${missing.join('、')}`] };
+    }
+    
+    const { errors, warnings } = checkFilenameIssues(fields, file.name.split('.').pop(), getFileKey(file));
+    if (errors.length > 0) return { level: 'error', icon: '❌', messages: errors };
+    if (warnings.length > 0) return { level: 'warning', icon: '⚠️', messages: warnings };
+    return { level: 'ok', icon: '✅', messages: [] };
+}
+
+/**
+ * 一覧表示に切り替え
+ */
+function openGridView() {
+    if (!AppState.isReady) return;
+    
+    document.querySelector('.middle-row').hidden = true;
+    document.getElementById('gridSection').hidden = false;
+    GridState.selection.clear();
+    GridState.lastClickedIndex = null;
+    initializeBulkEditor();
+    renderGrid();
+}
+
+/**
+ * 一覧表示を閉じて1枚ずつのフォームに戻る
+ */
+function closeGridView() {
+    document.getElementById('gridSection').hidden = true;
+    document.querySelector('.middle-row').hidden = false;
+    
+    displayCurrentImage();
+    updateNavigationButtons();
+    syncFormWithCurrentImage();
+}
+
+/**
+ * 一覧の編集列の見出し
+ */
+function getGridColumnLabel(key) {
+    const column = GRID_COLUMNS.find(item => item.key === key);
+    return column ? column.label : key;
+}
+
+/**
+ * 一覧のテーブルを描画
+ */
+function renderGrid() {
+    const table = document.getElementById('gridTable');
+    table.innerHTML = '';
+    
+    // ヘッダー
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    const selectAllCell = document.createElement('th');
+    const selectAll = document.createElement('input');
+    selectAll.type = 'checkbox';
+    selectAll.id = 'gridSelectAll';
+    selectAll.addEventListener('change', () => {
+        GridState.selection.clear();
+        if (selectAll.checked) {
+            AppState.imageFiles.forEach(file => GridState.selection.add(getFileKey(file)));
+        }
+        updateGridSelection();
+    });
+    selectAllCell.appendChild(selectAll);
+    headerRow.appendChild(selectAllCell);
+    
+    ['画像', '元ファイル名', ...GRID_COLUMNS.map(column => column.label), '状態', '新ファイル名'].forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    // 各行
+    const tbody = document.createElement('tbody');
+    AppState.imageFiles.forEach((file, index) => {
+        tbody.appendChild(createGridRow(file, index));
+    });
+    table.appendChild(tbody);
+    
+    updateGridSelection();
+    updateGridSummary();
+}
+
+/**
+ * 一覧の1行を作成
+ */
+function createGridRow(file, index) {
+    const fields = getRowFields(file);
+    const row = document.createElement('tr');
+    row.dataset.index = index;
+    
+    // 選択
+    const selectCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'grid-row-select';
+    checkbox.addEventListener('click', (event) => handleGridRowSelect(index, checkbox.checked, event.shiftKey));
+    selectCell.appendChild(checkbox);
+    row.appendChild(selectCell);
+    
+    // サムネイル（クリックでフォームに切り替えてこの画像を表示）
+    const thumbCell = document.createElement('td');
+    thumbCell.className = 'grid-thumb';
+    thumbCell.title = 'この画像をフォームで編集';
+    const thumbnailUrl = getThumbnailUrl(file);
+    if (!thumbnailUrl) {
+        thumbCell.textContent = 'HEIC';
+    } else {
+        const img = document.createElement('img');
+        img.src = thumbnailUrl;
+        img.loading = 'lazy';
+        img.alt = file.name;
+        thumbCell.appendChild(img);
+    }
+    thumbCell.addEventListener('click', () => goToImage(index));
+    row.appendChild(thumbCell);
+    
+    const nameCell = document.createElement('td');
+    nameCell.className = 'grid-filename';
+    nameCell.textContent = getFileKey(file);
+    row.appendChild(nameCell);
+    
+    // 編集セル
+    GRID_COLUMNS.forEach(column => {
+        const cell = document.createElement('td');
+        cell.appendChild(createGridInput(column, fields));
+        row.appendChild(cell);
+    });
+    
+    const statusCell = document.createElement('td');
+    statusCell.className = 'grid-status';
+    row.appendChild(statusCell);
+    
+    const newNameCell = document.createElement('td');
+    newNameCell.className = 'grid-filename grid-new-name';
+    row.appendChild(newNameCell);
+    
+    row.addEventListener('change', (event) => {
+        const key = event.target.dataset.field;
+        if (!key) return;
+        
+        const before = captureHistorySnapshot();
+        const current = getRowFields(file);
+        setRecordField(current, key, event.target.value);
+        storeRowFields(file, current);
+        pushHistory(`一覧で編集: ${getFileKey(file)}（${getGridColumnLabel(key)}）`, before);
+        
+        // 素材区分を変えた場合は素材名の選択肢を作り直す
+        if (key === 'materialCategory') {
+            refreshGridRowInputs(row, current);
+        }
+        handleGridRecordsChanged();
+    });
+    
+    updateGridRowStatus(row, file, fields);
+    return row;
+}
+
+/**
+ * 一覧のセル入力欄を作成
+ */
+function createGridInput(column, fields) {
+    let input;
+    if (column.type === 'select') {
+        input = document.createElement('select');
+        fillGridSelect(input, column.options(fields), fields[column.key]);
+    } else {
+        input = document.createElement('input');
+        input.type = column.type;
+        input.value = fields[column.key] ?? '';
+    }
+    input.className = 'grid-input';
+    input.dataset.field = column.key;
+    return input;
+}
+
+/**
+ * 一覧のセレクトに選択肢を設定
+ */
+function fillGridSelect(select, options, value) {
+    select.innerHTML = '';
+    const empty = document.createElement('option');
+    empty.value = '';
+    empty.textContent = '—';
+    select.appendChild(empty);
+    
+    options.forEach(option => {
+        const opt = document.createElement('option');
+        opt.value = option;
+        opt.textContent = option;
+        select.appendChild(opt);
+    });
+    select.value = value ?? '';
+}
+
+/**
+ * 行の入力欄を値に合わせて更新
+ */
+function refreshGridRowInputs(row, fields) {
+    GRID_COLUMNS.forEach(column => {
+        const input = row.querySelector(`[data-field="${column.key}"]`);
+        if (column.type === 'select') {
+            fillGridSelect(input, column.options(fields), fields[column.key]);
+        } else {
+            input.value = fields[column.key] ?? '';
+        }
+    });
+}
+
+/**
+ * 行の検証状態と新ファイル名を更新
+ */
+function updateGridRowStatus(row, file, fields) {
+    const status = getRowStatus(file, fields);
+    row.classList.remove('status-incomplete', 'status-error', 'status-warning', 'status-ok', 'status-excluded');
+    row.classList.add('grid-row', `status-${status.level}`);
+    
+    const statusCell = row.querySelector('.grid-status');
+    statusCell.textContent = status.icon;
+    statusCell.title = status.messages.join('\n');
+    
+    const record = AppState.processedFiles.get(getFileKey(file));
+    row.querySelector('.grid-new-name').textContent = record ? `${record.newName}.${record.extension}` : '';
+}
+
+/**
+ * レコードが変わったときの共通処理
+ */
+function handleGridRecordsChanged() {
+    // 重複などは他の行にも影響するため全行の状態を更新
+    document.querySelectorAll('#gridTable tbody tr').forEach(row => {
+        const file = AppState.imageFiles[Number(row.dataset.index)];
+        updateGridRowStatus(row, file, getRowFields(file));
+    });
+    
+    updateGridSummary();
+    renderBatchStatus();
+    updateDownloadButton();
+    saveSessionState();
+}
+
+/**
+ * 一覧の件数表示を更新
+ */
+function updateGridSummary() {
+    document.getElementById('gridSummary').textContent =
+        `全${AppState.imageFiles.length}件 / 処理済み${AppState.processedFiles.size}件 / 選択${GridState.selection.size}件`;
+}
+
+/**
+ * 行の選択（Shiftキーで範囲選択）
+ */
+function handleGridRowSelect(index, checked, shiftKey) {
+    const from = shiftKey && GridState.lastClickedIndex !== null ? Math.min(GridState.lastClickedIndex, index) : index;
+    const to = shiftKey && GridState.lastClickedIndex !== null ? Math.max(GridState.lastClickedIndex, index) : index;
+    
+    for (let i = from; i <= to; i++) {
+        const key = getFileKey(AppState.imageFiles[i]);
+        if (checked) {
+            GridState.selection.add(key);
+        } else {
+            GridState.selection.delete(key);
+        }
+    }
+    GridState.lastClickedIndex = index;
+    updateGridSelection();
+}
+
+/**
+ * 選択状態をチェックボックスと行の表示に反映
+ */
+function updateGridSelection() {
+    document.querySelectorAll('#gridTable tbody tr').forEach(row => {
+        const file = AppState.imageFiles[Number(row.dataset.index)];
+        const selected = GridState.selection.has(getFileKey(file));
+        row.querySelector('.grid-row-select').checked = selected;
+        row.classList.toggle('selected', selected);
+    });
+    
+    const selectAll = document.getElementById('gridSelectAll');
+    if (selectAll) {
+        selectAll.checked = AppState.imageFiles.length > 0 && GridState.selection.size === AppState.imageFiles.length;
+    }
+    updateGridSummary();
+}
+
+/**
+ * 選択中の行のファイル（表示順）
+ */
+function getSelectedGridFiles() {
+    return AppState.imageFiles.filter(file => GridState.selection.has(getFileKey(file)));
+}
+
+/**
+ * 一括入力欄の初期化
+ */
+function initializeBulkEditor() {
+    const fieldSelect = document.getElementById('bulkFieldSelect');
+    fieldSelect.innerHTML = '';
+    GRID_COLUMNS.forEach(column => {
+        const opt = document.createElement('option');
+        opt.value = column.key;
+        opt.textContent = column.label;
+        fieldSelect.appendChild(opt);
+    });
+    renderBulkValueInput();
+}
+
+/**
+ * 一括入力する値の入力欄を項目に合わせて作成
+ */
+function renderBulkValueInput() {
+    const key = document.getElementById('bulkFieldSelect').value;
+    const column = GRID_COLUMNS.find(c => c.key === key);
+    const container = document.getElementById('bulkValueContainer');
+    container.innerHTML = '';
+    
+    const input = createGridInput(column, { [key]: '' });
+    // 素材名は区分に関係なく全素材から選ぶ
+    if (column.type === 'select') {
+        fillGridSelect(input, column.options(null), '');
+    }
+    input.id = 'bulkValueInput';
+    input.classList.add('form-control');
+    container.appendChild(input);
+}
+
+/**
+ * 選択行に値を一括適用
+ */
+function applyBulkValue() {
+    const files = getSelectedGridFiles();
+    if (files.length === 0) {
+        alert('行を選択してください。');
+        return;
+    }
+    
+    const key = document.getElementById('bulkFieldSelect').value;
+    const value = document.getElementById('bulkValueInput').value;
+    setGridFieldForFiles(files, key, () => value, `一括適用: ${getGridColumnLabel(key)}（${files.length}行）`);
+}
+
+/**
+ * 選択行の先頭の値を残りの選択行へコピー（フィルダウン）
+ */
+function fillDownSelected() {
+    const files = getSelectedGridFiles();
+    if (files.length < 2) {
+        alert('コピー元とコピー先を含めて2行以上選択してください。');
+        return;
+    }
+    
+    const key = document.getElementById('bulkFieldSelect').value;
+    const source = getRowFields(files[0]);
+    
+    setGridFieldForFiles(files.slice(1), key, (fields) => {
+        // 素材名は素材区分と組にしてコピーする
+        if (key === 'material') {
+            fields.materialCategory = source.materialCategory;
+        }
+        return source[key];
+    }, `フィルダウン: ${getGridColumnLabel(key)}（${files.length - 1}行）`);
+}
+
+/**
+ * 複数ファイルの項目を更新して一覧を描き直す
+ */
+function setGridFieldForFiles(files, key, getValue, label) {
+    const before = captureHistorySnapshot();
+    files.forEach(file => {
+        const fields = getRowFields(file);
+        setRecordField(fields, key, getValue(fields));
+        storeRowFields(file, fields);
+    });
+    pushHistory(label, before);
+    
+    document.querySelectorAll('#gridTable tbody tr').forEach(row => {
+        const file = AppState.imageFiles[Number(row.dataset.index)];
+        if (files.includes(file)) {
+            refreshGridRowInputs(row, getRowFields(file));
+        }
+    });
+    handleGridRecordsChanged();
+}
+
+// ============================================
+// P/Mペアモード
+// ============================================
+
+// ペアの2枚目に引き継ぐ項目
+const PAIR_SHARED_FIELDS = ['implementer', 'partName', 'weight', 'unit', 'materialCategory', 'material', 'processing'];
+let pairPreviewToken = 0;
+
+/**
+ * ペアモードの切り替え
+ */
+function handlePairModeChange(event) {
+    AppState.settings.pairMode = event.target.checked;
+    saveSettings();
+    
+    if (AppState.isReady) {
+        const file = AppState.imageFiles[AppState.currentIndex];
+        if (AppState.settings.pairMode && file && !AppState.processedFiles.has(getFileKey(file))) {
+            applyPairDefaults();
+        }
+        updatePairPreview();
+    }
+    if (!AppState.settings.pairMode) {
+        renderPairProblems([]);
+    }
+}
+
+/**
+ * 写真区分の反対側（P ⇔ M）
+ */
+function getOppositePhotoType(photoType) {
+    return photoType === 'P' ? 'M' : 'P';
+}
+
+/**
+ * 同じ番号の処理済みファイル（自分自身を除く）
+ */
+function findPairPartners(number, fileKey) {
+    const partners = [];
+    AppState.processedFiles.forEach((data, key) => {
+        if (key !== fileKey && String(data.fields.number) === String(number)) {
+            partners.push([key, data]);
+        }
+    });
+    return partners;
+}
+
+/**
+ * ペアの1枚目が適用済みなら、その値と反対の写真区分をフォームに設定
+ */
+function applyPairDefaults() {
+    const file = AppState.imageFiles[AppState.currentIndex];
+    const number = document.getElementById('numberInput').value;
+    const partners = findPairPartners(number, getFileKey(file));
+    
+    if (partners.length === 1) {
+        const [, partner] = partners[0];
+        const fields = { ...getFormValues(), number };
+        PAIR_SHARED_FIELDS.forEach(key => {
+            fields[key] = partner.fields[key];
+        });
+        fields.photoType = getOppositePhotoType(partner.fields.photoType);
+        setFormValues(fields);
+    } else if (partners.length === 0) {
+        // 新しい番号は部品写真(P)から
+        document.getElementById('photoTypeSelect').value = 'P';
+        updateFilenamePreview();
+    }
+}
+
+/**
+ * ペアの相手の画像を横に表示
+ */
+async function updatePairPreview() {
+    const token = ++pairPreviewToken;
+    const container = document.getElementById('pairPreview');
+    
+    if (AppState.pairPreviewUrl) {
+        URL.revokeObjectURL(AppState.pairPreviewUrl);
+        AppState.pairPreviewUrl = null;
+    }
+    
+    const file = AppState.imageFiles[AppState.currentIndex];
+    const number = document.getElementById('numberInput').value;
+    const partners = AppState.settings.pairMode && file && number ? findPairPartners(number, getFileKey(file)) : [];
+    if (partners.length === 0) {
+        container.hidden = true;
+        container.innerHTML = '';
+        return;
+    }
+    
+    const [fileKey, partner] = partners[0];
+    const heic = isHeicFile(partner.blob);
+    const blob = heic ? await decodeHeicToJpeg(partner.blob) : partner.blob;
+    const metadata = heic ? {} : await getImageMetadata(partner.blob);
+    if (token !== pairPreviewToken) return;
+    
+    container.innerHTML = '';
+    if (blob) {
+        AppState.pairPreviewUrl = URL.createObjectURL(blob);
+        const img = document.createElement('img');
+        img.src = AppState.pairPreviewUrl;
+        img.alt = 'ペアの画像';
+        applyPreviewOrientation(img, metadata.orientation);
+        container.appendChild(img);
+    }
+    const caption = document.createElement('div');
+    caption.className = 'pair-caption';
+    caption.textContent = `ペア: ${PHOTO_TYPE_LABELS[partner.fields.photoType] || ''}(${partner.fields.photoType}) - ${fileKey}`;
+    container.appendChild(caption);
+    container.hidden = false;
+}
+
+/**
+ * P/Mがそろっていない番号を検出
+ */
+function findPairProblems() {
+    const groups = new Map();
+    AppState.processedFiles.forEach((data, fileKey) => {
+        const number = String(data.fields.number);
+        if (!groups.has(number)) groups.set(number, { P: [], M: [] });
+        const group = groups.get(number);
+        if (group[data.fields.photoType]) {
+            group[data.fields.photoType].push(fileKey);
+        }
+    });
+    
+    const problems = [];
+    Array.from(groups.keys()).sort((a, b) => naturalSort(a, b)).forEach(number => {
+        const group = groups.get(number);
+        ['P', 'M'].forEach(photoType => {
+            const label = `${PHOTO_TYPE_LABELS[photoType]}(${photoType})`;
+            if (group[photoType].length === 0) {
+                problems.push(`番号${number}: ${label}がありません`);
+            } else if (group[photoType].length > 1) {
+                problems.push(`番号${number}: ${label}が${group[photoType].length}枚あります（${group[photoType].join(', ')}）`);
+            }
+        });
+    });
+    return problems;
+}
+
+/**
+ * ペアの問題の一覧を表示
+ */
+function renderPairProblems(problems) {
+    const panel = document.getElementById('pairProblemPanel');
+    const list = document.getElementById('pairProblemList');
+    list.innerHTML = '';
+    
+    problems.forEach(problem => {
+        const item = document.createElement('li');
+        item.textContent = problem;
+        list.appendChild(item);
+    });
+    panel.style.display = problems.length > 0 ? 'block' : 'none';
+}
+
+// ============================================
+// フィルムストリップと画像単位のナビゲーション
+// ============================================
+
+const IMAGE_STATUS_LABELS = {
+    unprocessed: '未処理',
+    applied: '適用済み',
+    invalid: '要修正',
+    skipped: 'スキップ',
+    excluded: '除外'
+};
+
+/**
+ * 画像の処理状態
+ */
+function getImageStatus(file) {
+    if (AppState.excludedFiles.has(getFileKey(file))) return 'excluded';
+    
+    const record = AppState.processedFiles.get(getFileKey(file));
+    if (record) {
+        const { errors } = checkFilenameIssues(record.fields, record.extension, getFileKey(file));
+        return errors.length > 0 ? 'invalid' : 'applied';
+    }
+    if (AppState.draftFields.has(getFileKey(file))) return 'invalid';
+    if (AppState.skippedFiles.has(getFileKey(file))) return 'skipped';
+    return 'unprocessed';
+}
+
+/**
+ * フィルムストリップを描画
+ */
+function renderFilmstrip() {
+    const strip = document.getElementById('filmstrip');
+    strip.innerHTML = '';
+    strip.hidden = AppState.imageFiles.length === 0;
+    const duplicateFiles = getFlaggedDuplicateFiles();
+    
+    AppState.imageFiles.forEach((file, index) => {
+        const status = getImageStatus(file);
+        const item = document.createElement('button');
+        item.className = `filmstrip-item status-${status}`;
+        item.classList.toggle('current', index === AppState.currentIndex);
+        item.title = `${index + 1}: ${getFileKey(file)}（${IMAGE_STATUS_LABELS[status]}）`;
+        
+        const thumbnailUrl = getThumbnailUrl(file);
+        if (thumbnailUrl) {
+            const img = document.createElement('img');
+            img.src = thumbnailUrl;
+            img.loading = 'lazy';
+            img.alt = '';
+            item.appendChild(img);
+        } else {
+            item.appendChild(document.createTextNode('HEIC'));
+        }
+        
+        const label = document.createElement('span');
+        label.className = 'filmstrip-label';
+        label.textContent = index + 1;
+        item.appendChild(label);
+        
+        if (duplicateFiles.has(file)) {
+            const badge = document.createElement('span');
+            badge.className = 'filmstrip-duplicate';
+            badge.textContent = '重複';
+            item.appendChild(badge);
+            item.title += ' - 重複の可能性あり';
+        }
+        
+        item.addEventListener('click', () => goToImage(index));
+        strip.appendChild(item);
+    });
+    
+    const current = strip.querySelector('.current');
+    if (current) {
+        current.scrollIntoView({ block: 'nearest', inline: 'center' });
+    }
+    updateExcludeButton();
+    renderDuplicatePhotoHint();
+    renderDuplicatePhotoReport();
+}
+
+/**
+ * 除外ボタンの表示を現在の画像に合わせる
+ */
+function updateExcludeButton() {
+    const file = AppState.imageFiles[AppState.currentIndex];
+    const excluded = file && AppState.excludedFiles.has(getFileKey(file));
+    document.getElementById('excludeButton').textContent = excluded ? '↩ 除外を取り消す' : '🚫 出力から除外';
+}
+
+/**
+ * 適用せずに次の画像へ
+ */
+function skipCurrentImage() {
+    const file = AppState.imageFiles[AppState.currentIndex];
+    if (!file) return;
+    
+    if (!AppState.processedFiles.has(getFileKey(file)) && !AppState.excludedFiles.has(getFileKey(file))) {
+        AppState.skippedFiles.add(getFileKey(file));
+    }
+    
+    if (AppState.currentIndex < AppState.imageFiles.length - 1) {
+        goToImage(AppState.currentIndex + 1);
+    } else {
+        renderBatchStatus();
+        saveSessionState();
+    }
+}
+
+/**
+ * 次の未処理の画像へ（末尾まで行ったら先頭から探す）
+ */
+function goToNextUnprocessed() {
+    const count = AppState.imageFiles.length;
+    for (let offset = 1; offset <= count; offset++) {
+        const index = (AppState.currentIndex + offset) % count;
+        const file = AppState.imageFiles[index];
+        if (!AppState.processedFiles.has(getFileKey(file)) && !AppState.excludedFiles.has(getFileKey(file))) {
+            goToImage(index);
+            return;
+        }
+    }
+    alert('未処理の画像はありません。');
+}
+
+/**
+ * 指定番号の画像へ移動
+ */
+function jumpToInputIndex() {
+    const input = document.getElementById('jumpInput');
+    const index = parseInt(input.value, 10) - 1;
+    
+    if (isNaN(index) || index < 0 || index >= AppState.imageFiles.length) {
+        alert(`1〜${AppState.imageFiles.length}の番号を入力してください。`);
+        return;
+    }
+    input.value = '';
+    goToImage(index);
+}
+
+/**
+ * 現在の画像を出力から除外／除外を取り消す
+ */
+function toggleExcludeCurrent() {
+    const file = AppState.imageFiles[AppState.currentIndex];
+    if (!file) return;
+    toggleFileExcluded(file);
+}
+
+/**
+ * 画像を出力から除外／除外を取り消す
+ * 除外した画像の入力値は入力途中として残し、取り消し後に適用し直せるようにする
+ */
+function toggleFileExcluded(file) {
+    const before = captureHistorySnapshot();
+    if (AppState.excludedFiles.has(getFileKey(file))) {
+        pushHistory(`除外を取り消し: ${getFileKey(file)}`, before);
+        AppState.excludedFiles.delete(getFileKey(file));
+        // 除外前の入力値がそろっていれば処理済みに戻す
+        const draft = AppState.draftFields.get(getFileKey(file));
+        if (draft) {
+            storeRowFields(file, draft);
+        }
+    } else {
+        pushHistory(`出力から除外: ${getFileKey(file)}`, before);
+        AppState.excludedFiles.add(getFileKey(file));
+        AppState.skippedFiles.delete(getFileKey(file));
+        
+        const record = AppState.processedFiles.get(getFileKey(file));
+        if (record) {
+            AppState.draftFields.set(getFileKey(file), record.fields);
+            AppState.processedFiles.delete(getFileKey(file));
+        }
+    }
+    
+    handleProcessedFilesChanged();
+}
+
+// ============================================
+// 検索付きセレクト（コンボボックス）とキーボード操作
+// ============================================
+
+const COMBOBOX_MAX_RESULTS = 100;
+
+/**
+ * コンボボックス化するセレクトの設定
+ * getId: 名称からIDを引く（ID検索・表示用）
+ * getCandidates: 検索対象を選択肢以外から取る場合に指定
+ */
+const COMBOBOX_CONFIGS = {
+    implementerSelect: {
+        getId: (name) => AppState.implementers[name]
+    },
+    materialCategorySelect: {},
+    materialSelect: {
+        getId: (name) => AppState.materialNameToId[name],
+        // 素材名は素材区分をまたいで検索し、選択時に素材区分も合わせる
+        getCandidates: () => Object.keys(AppState.materialNameToId),
+        getDetail: (name) => findMaterialCategory(name),
+        onSelect: selectMaterialAcrossCategories
+    },
+    processingSelect: {
+        getId: (name) => AppState.processingMethods[name]
+    }
+};
+
+const comboboxes = new Map();
+
+/**
+ * 検索用に文字列を正規化
+ * 全角英数・半角カナをNFKCで揃え、ひらがなをカタカナに寄せる
+ */
+function normalizeForSearch(text) {
+    return String(text ?? '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[ぁ-ゖ]/g, ch => String.fromCharCode(ch.charCodeAt(0) + 0x60))
+        .replace(/\s+/g, '');
+}
+
+/**
+ * 対象のセレクトをコンボボックス化
+ * 元のセレクトは値の保持役として残し、非表示にする
+ */
+function initializeComboboxes() {
+    Object.entries(COMBOBOX_CONFIGS).forEach(([selectId, config]) => {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        const wrapper = document.createElement('div');
+        wrapper.className = 'combobox';
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = `${selectId}Search`;
+        input.className = 'form-control';
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        
+        const list = document.createElement('ul');
+        list.className = 'combobox-list';
+        list.id = `${selectId}List`;
+        list.setAttribute('role', 'listbox');
+        list.hidden = true;
+        input.setAttribute('aria-controls', list.id);
+        
+        wrapper.appendChild(input);
+        wrapper.appendChild(list);
+        select.after(wrapper);
+        select.hidden = true;
+        
+        const label = document.querySelector(`label[for="${selectId}"]`);
+        if (label) label.htmlFor = input.id;
+        
+        const box = { select, input, list, config, matches: [], activeIndex: -1 };
+        comboboxes.set(selectId, box);
+        
+        input.addEventListener('focus', () => {
+            input.select();
+            openCombobox(box, '');
+        });
+        input.addEventListener('input', () => openCombobox(box, input.value));
+        input.addEventListener('keydown', (event) => handleComboboxKeydown(box, event));
+        input.addEventListener('blur', () => commitComboboxInput(box));
+        // クリックで選ぶ前に入力欄のblurが走らないようにする
+        list.addEventListener('mousedown', (event) => event.preventDefault());
+        list.addEventListener('click', (event) => {
+            const item = event.target.closest('li[data-value]');
+            if (item) chooseComboboxValue(box, item.dataset.value);
+        });
+    });
+    
+    syncComboboxes();
+}
+
+/**
+ * 候補を検索語で絞り込む（名称・IDの部分一致、前方一致を優先）
+ */
+function filterComboboxOptions(box, query) {
+    const candidates = box.config.getCandidates
+        ? box.config.getCandidates()
+        : Array.from(box.select.options).map(option => option.value).filter(Boolean);
+    const normalizedQuery = normalizeForSearch(query);
+    if (!normalizedQuery) return candidates.slice(0, COMBOBOX_MAX_RESULTS);
+    
+    const prefixMatches = [];
+    const partialMatches = [];
+    candidates.forEach(name => {
+        const keys = [normalizeForSearch(name)];
+        const id = box.config.getId?.(name);
+        if (id) keys.push(normalizeForSearch(id));
+        
+        if (keys.some(key => key.startsWith(normalizedQuery))) {
+            prefixMatches.push(name);
+        } else if (keys.some(key => key.includes(normalizedQuery))) {
+            partialMatches.push(name);
+        }
+    });
+    return prefixMatches.concat(partialMatches).slice(0, COMBOBOX_MAX_RESULTS);
+}
+
+/**
+ * 候補リストを開く
+ */
+function openCombobox(box, query) {
+    box.matches = filterComboboxOptions(box, query);
+    const currentIndex = box.matches.indexOf(box.select.value);
+    box.activeIndex = query ? (box.matches.length > 0 ? 0 : -1) : currentIndex;
+    renderComboboxList(box);
+}
+
+/**
+ * 候補リストを閉じる
+ */
+function closeCombobox(box) {
+    box.list.hidden = true;
+    box.input.setAttribute('aria-expanded', 'false');
+    box.input.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * 候補リストを描画
+ */
+function renderComboboxList(box) {
+    box.list.innerHTML = '';
+    
+    if (box.matches.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'combobox-empty';
+        empty.textContent = '該当する候補がありません';
+        box.list.appendChild(empty);
+    }
+    
+    box.matches.forEach((name, index) => {
+        const item = document.createElement('li');
+        item.id = `${box.list.id}-${index}`;
+        item.dataset.value = name;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(index === box.activeIndex));
+        if (index === box.activeIndex) item.classList.add('active');
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.textContent = name;
+        item.appendChild(nameSpan);
+        
+        const id = box.config.getId?.(name);
+        const detail = box.config.getDetail?.(name);
+        const meta = [id, detail].filter(Boolean).join(' / ');
+        if (meta) {
+            const metaSpan = document.createElement('small');
+            metaSpan.className = 'combobox-meta';
+            metaSpan.textContent = meta;
+            item.appendChild(metaSpan);
+        }
+        
+        box.list.appendChild(item);
+    });
+    
+    box.list.hidden = false;
+    box.input.setAttribute('aria-expanded', 'true');
+    
+    const active = box.list.children[box.activeIndex];
+    if (active && box.activeIndex >= 0) {
+        box.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView?.({ block: 'nearest' });
+    } else {
+        box.input.removeAttribute('aria-activedescendant');
+    }
+}
+
+/**
+ * コンボボックス内のキー操作（↑↓で移動、Enterで確定、Escで取り消し）
+ */
+function handleComboboxKeydown(box, event) {
+    switch (event.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+            event.preventDefault();
+            if (box.list.hidden) {
+                openCombobox(box, '');
+                return;
+            }
+            if (box.matches.length === 0) return;
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            box.activeIndex = (box.activeIndex + step + box.matches.length) % box.matches.length;
+            renderComboboxList(box);
+            break;
+        }
+        case 'Enter':
+            if (box.list.hidden || box.activeIndex < 0) return;
+            // Ctrl+Enterは確定後に全体のショートカット（適用 & 次へ）へ渡す
+            if (!event.ctrlKey && !event.metaKey) event.preventDefault();
+            chooseComboboxValue(box, box.matches[box.activeIndex]);
+            break;
+        case 'Escape':
+            if (box.list.hidden) return;
+            event.preventDefault();
+            closeCombobox(box);
+            syncComboboxes();
+            break;
+        case 'Tab':
+            commitComboboxInput(box);
+            break;
+    }
+}
+
+/**
+ * 入力欄を離れるときに、入力文字列が候補と一致すれば確定し、それ以外は元に戻す
+ */
+function commitComboboxInput(box) {
+    if (box.list.hidden) return;
+    closeCombobox(box);
+    
+    const query = normalizeForSearch(box.input.value);
+    if (query && query !== normalizeForSearch(box.select.value)) {
+        const exact = filterComboboxOptions(box, box.input.value).find(name =>
+            normalizeForSearch(name) === query || normalizeForSearch(box.config.getId?.(name)) === query
+        );
+        if (exact) {
+            chooseComboboxValue(box, exact);
+            return;
+        }
+    }
+    syncComboboxes();
+}
+
+/**
+ * 候補を確定し、元のセレクトのchangeイベントで既存の処理に引き継ぐ
+ */
+function chooseComboboxValue(box, value) {
+    closeCombobox(box);
+    if (box.config.onSelect) {
+        box.config.onSelect(value);
+    } else {
+        box.select.value = value;
+        box.select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    syncComboboxes();
+}
+
+/**
+ * 素材名を選択（別の素材区分の素材なら素材区分も切り替える）
+ */
+function selectMaterialAcrossCategories(material) {
+    const categorySelect = document.getElementById('materialCategorySelect');
+    const materialSelect = document.getElementById('materialSelect');
+    const category = findMaterialCategory(material);
+    
+    if (category && categorySelect.value !== category) {
+        categorySelect.value = category;
+        categorySelect.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    materialSelect.value = material;
+    materialSelect.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * 元のセレクトの値・有効状態をコンボボックスの表示に反映
+ */
+function syncComboboxes() {
+    comboboxes.forEach(box => {
+        if (box.list.hidden) {
+            box.input.value = box.select.value;
+        }
+        if (box.config.getCandidates) {
+            // 素材名は素材区分が未選択でも検索でき、選択時に素材区分も決まる
+            box.input.disabled = document.getElementById('materialCategorySelect').disabled;
+            box.input.placeholder = '素材名・IDで検索';
+        } else {
+            box.input.disabled = box.select.disabled;
+            box.input.placeholder = box.config.getId ? '名前・IDで検索' : '入力して検索';
+        }
+    });
+}
+
+/**
+ * 全体のキーボードショートカット
+ * Ctrl+Enter: 適用 & 次へ / Alt+,: 前へ / Alt+.: スキップ / Alt+P: 写真区分 / Alt+N: 特記事項
+ * （Alt+←/→ はブラウザの戻る・進むと重なり、取りこぼすと作業中にページを離れてしまうため使わない）
+ */
+function handleShortcutKeys(event) {
+    if (handleHistoryKeys(event)) return;
+    if (!AppState.isReady || !document.getElementById('gridSection').hidden) return;
+    
+    if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
+        event.preventDefault();
+        if (!document.getElementById('applyButton').disabled) {
+            applyAndNext();
+        }
+        return;
+    }
+    
+    if (!event.altKey || event.ctrlKey || event.metaKey) return;
+    
+    // MacのOptionキーでは文字が変わるため、event.codeで判定する
+    switch (event.code) {
+        case 'Comma':
+            if (!document.getElementById('prevButton').disabled) navigatePrevious();
+            break;
+        case 'Period':
+            skipCurrentImage();
+            break;
+        case 'KeyP':
+            cycleSelectValue('photoTypeSelect');
+            break;
+        case 'KeyN':
+            cycleSelectValue('notesSelect');
+            break;
+        default:
+            return;
+    }
+    event.preventDefault();
+}
+
+/**
+ * セレクトの値を次の選択肢に切り替える
+ */
+function cycleSelectValue(selectId) {
+    const select = document.getElementById(selectId);
+    if (select.disabled || select.options.length === 0) return;
+    select.selectedIndex = (select.selectedIndex + 1) % select.options.length;
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// ============================================
+// EXIF（撮影情報）の読み取り
+// ============================================
+
+// JPEGのAPP1は最大64KB、HEICのmetaボックスも通常は先頭付近にある
+const EXIF_READ_BYTES = 128 * 1024;
+// この秒数以内に続けて撮影された画像は同じ部品とみなして番号を提案する
+const CAPTURE_GROUP_SECONDS = 15;
+
+// EXIFのOrientationごとに、表示を正しい向きに戻すCSS変換
+const ORIENTATION_TRANSFORMS = {
+    2: 'scaleX(-1)',
+    3: 'rotate(180deg)',
+    4: 'scaleY(-1)',
+    5: 'rotate(90deg) scaleY(-1)',
+    6: 'rotate(90deg)',
+    7: 'rotate(90deg) scaleX(-1)',
+    8: 'rotate(-90deg)'
+};
+
+const exifCache = new WeakMap();
+
+/**
+ * 画像の撮影情報を取得（ファイルごとにキャッシュ。読めない場合は空オブジェクト）
+ * 戻り値: { orientation, captureTime, captureText, camera }
+ */
+function getImageMetadata(file) {
+    if (!exifCache.has(file)) {
+        const promise = readExifMetadata(file).catch(error => {
+            console.warn('EXIFの読み取りに失敗しました:', file.name, error);
+            return {};
+        });
+        exifCache.set(file, promise);
+    }
+    return exifCache.get(file);
+}
+
+/**
+ * JPEG/HEICからEXIFを探して解析
+ */
+async function readExifMetadata(file) {
+    const head = new DataView(await file.slice(0, EXIF_READ_BYTES).arrayBuffer());
+    if (head.byteLength < 12) return {};
+    
+    let tiff = null;
+    if (head.getUint16(0) === 0xFFD8) {
+        tiff = findJpegExif(head);
+    } else if (readAscii(head, 4, 4) === 'ftyp') {
+        tiff = await findHeicExif(file, head);
+    }
+    
+    return tiff ? parseTiffExif(tiff.view, tiff.offset) : {};
+}
+
+/**
+ * DataViewからASCII文字列を読む
+ */
+function readAscii(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+        text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+}
+
+/**
+ * JPEGのAPP1（Exif）セグメントを探す
+ */
+function findJpegExif(view) {
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        // マーカーでない、または画像データ（SOS）に到達したら終了
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+        
+        const length = view.getUint16(offset + 2);
+        if (marker === 0xFFE1 && readAscii(view, offset + 4, 6) === 'Exif\0\0') {
+            return { view, offset: offset + 10 };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * ISOBMFFのボックスを列挙
+ */
+function readIsoBoxes(view, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        let header = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header) break;
+        
+        boxes.push({ type: readAscii(view, offset + 4, 4), start: offset + header, end: Math.min(offset + size, end) });
+        offset += size;
+    }
+    return boxes;
+}
+
+/**
+ * ilocの可変長フィールドを読む
+ */
+function readIsoUint(view, offset, size) {
+    if (size === 2) return view.getUint16(offset);
+    if (size === 4) return view.getUint32(offset);
+    if (size === 8) return Number(view.getBigUint64(offset));
+    return 0;
+}
+
+/**
+ * HEICのmetaボックスからExifアイテムの位置を調べて読み込む
+ */
+async function findHeicExif(file, head) {
+    const meta = readIsoBoxes(head, 0, head.byteLength).find(box => box.type === 'meta');
+    if (!meta) return null;
+    
+    // metaはフルボックス（version/flagsの4バイトの後に子ボックス）
+    const children = readIsoBoxes(head, meta.start + 4, meta.end);
+    const iinf = children.find(box => box.type === 'iinf');
+    const iloc = children.find(box => box.type === 'iloc');
+    if (!iinf || !iloc) return null;
+    
+    // iinf: Exif型のアイテムIDを探す
+    const iinfVersion = head.getUint8(iinf.start);
+    let exifItemId = null;
+    readIsoBoxes(head, iinf.start + 4 + (iinfVersion === 0 ? 2 : 4), iinf.end)
+        .filter(box => box.type === 'infe')
+        .forEach(infe => {
+            const version = head.getUint8(infe.start);
+            if (version < 2) return;
+            const idSize = version === 2 ? 2 : 4;
+            const itemId = readIsoUint(head, infe.start + 4, idSize);
+            if (readAscii(head, infe.start + 4 + idSize + 2, 4) === 'Exif') {
+                exifItemId = itemId;
+            }
+        });
+    if (exifItemId === null) return null;
+    
+    // iloc: アイテムのファイル内位置を探す
+    const version = head.getUint8(iloc.start);
+    let p = iloc.start + 4;
+    const offsetSize = head.getUint8(p) >> 4;
+    const lengthSize = head.getUint8(p) & 0x0F;
+    const baseOffsetSize = head.getUint8(p + 1) >> 4;
+    const indexSize = version === 1 || version === 2 ? head.getUint8(p + 1) & 0x0F : 0;
+    p += 2;
+    const idSize = version < 2 ? 2 : 4;
+    const itemCount = readIsoUint(head, p, idSize);
+    p += idSize;
+    
+    for (let i = 0; i < itemCount && p < iloc.end; i++) {
+        const itemId = readIsoUint(head, p, idSize);
+        p += idSize;
+        if (version === 1 || version === 2) p += 2; // construction_method
+        p += 2; // data_reference_index
+        const baseOffset = readIsoUint(head, p, baseOffsetSize);
+        p += baseOffsetSize;
+        const extentCount = head.getUint16(p);
+        p += 2;
+        
+        for (let j = 0; j < extentCount; j++) {
+            p += indexSize;
+            const extentOffset = readIsoUint(head, p, offsetSize);
+            p += offsetSize;
+            const extentLength = readIsoUint(head, p, lengthSize);
+            p += lengthSize;
+            
+            if (itemId === exifItemId && j === 0) {
+                const start = baseOffset + extentOffset;
+                const data = new DataView(await file.slice(start, start + extentLength).arrayBuffer());
+                // 先頭4バイトはTIFFヘッダーまでのオフセット
+                return { view: data, offset: 4 + data.getUint32(0) };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * TIFF形式のEXIFから向き・撮影日時・カメラを取り出す
+ */
+function parseTiffExif(view, start) {
+    const byteOrder = view.getUint16(start);
+    const little = byteOrder === 0x4949;
+    if (!little && byteOrder !== 0x4D4D) return {};
+    
+    const u16 = (offset) => view.getUint16(start + offset, little);
+    const u32 = (offset) => view.getUint32(start + offset, little);
+    
+    const readIfd = (ifdOffset) => {
+        const entries = new Map();
+        if (!ifdOffset || start + ifdOffset + 2 > view.byteLength) return entries;
+        const count = u16(ifdOffset);
+        for (let i = 0; i < count; i++) {
+            const entry = ifdOffset + 2 + i * 12;
+            if (start + entry + 12 > view.byteLength) break;
+            entries.set(u16(entry), entry);
+        }
+        return entries;
+    };
+    const readString = (entry) => {
+        if (entry === undefined) return '';
+        const length = u32(entry + 4);
+        const valueOffset = length <= 4 ? entry + 8 : u32(entry + 8);
+        return readAscii(view, start + valueOffset, length).replace(/\0+$/, '').trim();
+    };
+    
+    const ifd0 = readIfd(u32(4));
+    const exifIfd = ifd0.has(0x8769) ? readIfd(u32(ifd0.get(0x8769) + 8)) : new Map();
+    
+    const orientation = ifd0.has(0x0112) ? u16(ifd0.get(0x0112) + 8) : undefined;
+    const make = readString(ifd0.get(0x010F));
+    const model = readString(ifd0.get(0x0110));
+    const dateText = readString(exifIfd.get(0x9003)) || readString(exifIfd.get(0x9004)) || readString(ifd0.get(0x0132));
+    const date = parseExifDate(dateText);
+    
+    return {
+        orientation,
+        captureTime: date ? date.getTime() : undefined,
+        captureText: date ? date.toLocaleString('ja-JP') : '',
+        camera: model.startsWith(make) ? model : [make, model].filter(Boolean).join(' ')
+    };
+}
+
+/**
+ * EXIFの日時（YYYY:MM:DD HH:MM:SS、端末のローカル時刻）をDateに変換
+ */
+function parseExifDate(text) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    if (year === 0) return null;
+    return new Date(year, month - 1, day, hour, minute, second);
+}
+
+/**
+ * 撮影情報の表示用テキスト
+ */
+function formatCaptureInfo(metadata) {
+    const parts = [];
+    if (metadata.captureText) parts.push(`📅 ${metadata.captureText}`);
+    if (metadata.camera) parts.push(`📷 ${metadata.camera}`);
+    return parts.length > 0 ? `（${parts.join(' ')}）` : '';
+}
+
+/**
+ * プレビュー画像にEXIFの向きを反映
+ * ブラウザ自身の自動回転と二重にならないよう、自動回転は止めてCSSで回す
+ */
+function applyPreviewOrientation(img, orientation) {
+    if (!img || !orientation) return;
+    img.style.imageOrientation = 'none';
+    img.style.transform = ORIENTATION_TRANSFORMS[orientation] || '';
+    // 90度回転する場合は縦横の上限を入れ替えて枠内に収める
+    img.classList.toggle('rotated-quarter', orientation >= 5);
+}
+
+/**
+ * 画像を撮影日時順または自然順序（識別キー＝フォルダを含むパス）で並べ替える
+ * 撮影日時のない画像は後ろにパス順で並べる
+ */
+async function sortImageFiles(files) {
+    if (AppState.settings.imageSort !== 'captureTime') {
+        return files.sort((a, b) => naturalSort(getFileKey(a), getFileKey(b)));
+    }
+    
+    const times = new Map();
+    for (const file of files) {
+        times.set(file, (await getImageMetadata(file)).captureTime);
+    }
+    return files.sort((a, b) => {
+        const timeA = times.get(a);
+        const timeB = times.get(b);
+        if (timeA && timeB && timeA !== timeB) return timeA - timeB;
+        if (!timeA !== !timeB) return timeA ? -1 : 1;
+        return naturalSort(getFileKey(a), getFileKey(b));
+    });
+}
+
+/**
+ * 並び順の変更（読み込み済みの画像も並べ替える）
+ */
+async function handleImageSortChange(event) {
+    AppState.settings.imageSort = event.target.value;
+    saveSettings();
+    
+    if (AppState.imageFiles.length === 0) return;
+    
+    const currentFile = AppState.imageFiles[AppState.currentIndex];
+    await sortImageFiles(AppState.imageFiles);
+    AppState.currentIndex = Math.max(0, AppState.imageFiles.indexOf(currentFile));
+    
+    renderBatchStatus();
+    saveSessionImages().catch(error => console.warn('セッションの保存に失敗しました:', error));
+    saveSessionState();
+    
+    if (AppState.isReady) {
+        displayCurrentImage();
+        updateNavigationButtons();
+    }
+    const label = event.target.value === 'captureTime' ? '撮影日時順' : 'ファイル名順';
+    updateStatus('imageStatus', `✅ ${AppState.imageFiles.length}個の画像を${label}に並べ替えました`, 'success');
+}
+
+/**
+ * 直前の画像と数秒差で撮影されていれば、同じ番号を提案する
+ */
+async function suggestCaptureGroupNumber(file) {
+    const hint = document.getElementById('captureGroupHint');
+    const numberInput = document.getElementById('numberInput');
+    const previous = AppState.imageFiles[AppState.imageFiles.indexOf(file) - 1];
+    if (!previous) return;
+    
+    const previousFields = AppState.processedFiles.get(getFileKey(previous))?.fields || AppState.draftFields.get(getFileKey(previous));
+    if (!previousFields?.number) return;
+    
+    const autoNumber = numberInput.value;
+    const [current, before] = await Promise.all([getImageMetadata(file), getImageMetadata(previous)]);
+    if (!current.captureTime || !before.captureTime) return;
+    
+    const seconds = Math.round(Math.abs(current.captureTime - before.captureTime) / 1000);
+    if (seconds > CAPTURE_GROUP_SECONDS) return;
+    
+    // 読み取り中に画像を移動した、または番号を手入力した場合は提案しない
+    if (AppState.imageFiles[AppState.currentIndex] !== file || numberInput.value !== autoNumber) return;
+    
+    numberInput.value = previousFields.number;
+    hint.textContent = `📎 直前の画像の${seconds}秒後に撮影されているため、同じ番号 ${previousFields.number} を提案しています`;
+    updateFilenamePreview();
+}
+
+// ============================================
+// 出力プロファイル（縮小・再圧縮）
+// ============================================
+
+const OUTPUT_FORMATS = {
+    jpeg: { label: 'JPEG', type: 'image/jpeg', extensions: ['jpg', 'jpeg'] },
+    webp: { label: 'WebP', type: 'image/webp', extensions: ['webp'] },
+    png: { label: 'PNG', type: 'image/png', extensions: ['png'] }
+};
+
+let resizeWorker = null;
+let resizeWorkerUrl = null;
+let resizeRequestId = 0;
+const resizeRequests = new Map();
+
+/**
+ * 出力時に変換（縮小・再圧縮、HEICのJPEG化、回転・トリミング）が必要か
+ */
+function needsOutputConversion(data, options, edit = null) {
+    return options.profile.mode === 'resize' || (options.enabled && isHeicFile(data.blob)) || Boolean(edit);
+}
+
+/**
+ * ZIPに入れるファイルを用意（editは画像の回転・トリミングの編集内容）
+ * 戻り値: { filename, blob, keepOriginal, error }（変換できない場合はerror付きで元のファイルを返す）
+ */
+async function prepareOutputFile(data, options, usedNames, edit = null) {
+    const original = { filename: `${data.newName}.${data.extension}`, blob: data.blob, keepOriginal: false, error: null };
+    const heic = isHeicFile(data.blob);
+    
+    if (options.profile.mode === 'resize' || edit) {
+        // 縮小しない設定で編集だけがある場合は、元の形式に近い形式で保存し直す
+        const profile = options.profile.mode === 'resize' ? options.profile : getEditedOutputProfile(data, options);
+        const format = OUTPUT_FORMATS[profile.format] || OUTPUT_FORMATS.jpeg;
+        const action = options.profile.mode === 'resize' ? '縮小' : '編集を適用';
+        
+        // HEICはWorker内でデコードできないため、先にプレビューと同じ手段でJPEGにする
+        const source = heic ? await decodeHeicToJpeg(data.blob, 1) : data.blob;
+        if (!source) {
+            return { ...original, error: 'このブラウザではデコードできませんでした' };
+        }
+        
+        const result = await resizeImage(source, profile, edit);
+        if (result.error) {
+            return { ...original, error: `${action}できませんでした（${result.error}）` };
+        }
+        if (result.blob.type !== format.type) {
+            return { ...original, error: `このブラウザは${format.label}での保存に対応していません` };
+        }
+        // 縮小・編集が不要で、同じ形式のまま元より大きくなる場合は元のファイルを使う
+        if (!result.resized && !edit && !heic && data.blob.type === format.type && result.blob.size >= data.blob.size) {
+            return original;
+        }
+        
+        const filename = claimOutputName(data, format, usedNames);
+        if (!filename) {
+            return { ...original, error: `同じ名前の ${data.newName}.${format.extensions[0]} があるため変換しませんでした` };
+        }
+        return { filename, blob: result.blob, keepOriginal: heic && options.enabled && options.keepOriginals, error: null };
+    }
+    
+    if (heic && options.enabled) {
+        const filename = claimOutputName(data, OUTPUT_FORMATS.jpeg, usedNames);
+        if (!filename) {
+            return { ...original, error: `同じ名前の ${data.newName}.jpg があるため変換しませんでした` };
+        }
+        const blob = await decodeHeicToJpeg(data.blob, options.quality);
+        if (!blob) {
+            return { ...original, error: 'このブラウザではデコードできませんでした' };
+        }
+        return { filename, blob, keepOriginal: options.keepOriginals, error: null };
+    }
+    
+    return original;
+}
+
+/**
+ * 縮小しない設定で編集を適用するときの保存形式
+ * PNG・WebPは同じ形式、それ以外（HEIC・GIFなど）はJPEGにする
+ */
+function getEditedOutputProfile(data, options) {
+    const heic = isHeicFile(data.blob);
+    const format = heic ? 'jpeg' : Object.keys(OUTPUT_FORMATS).find(key => OUTPUT_FORMATS[key].type === data.blob.type) || 'jpeg';
+    const quality = heic && options.enabled ? Math.round(options.quality * 100) : EDITED_IMAGE_QUALITY;
+    return { mode: 'resize', maxDimension: Infinity, format, quality };
+}
+
+/**
+ * 変換後のファイル名を確保（拡張子が変わって他のファイルと重なる場合はnull）
+ */
+function claimOutputName(data, format, usedNames) {
+    if (format.extensions.includes(data.extension.toLowerCase())) {
+        return `${data.newName}.${data.extension}`;
+    }
+    
+    const filename = `${data.newName}.${format.extensions[0]}`;
+    if (usedNames.has(filename.toLowerCase())) return null;
+    usedNames.add(filename.toLowerCase());
+    return filename;
+}
+
+/**
+ * 画像を長辺maxDimension以下に縮小して再圧縮（editがあれば回転・トリミングを適用）
+ * Worker内でも実行するため、getEditedSize・drawEditedImage以外の外の変数や関数を参照しないこと
+ */
+async function encodeResizedImage({ blob, maxDimension, type, quality, edit = null }) {
+    // createImageBitmapはEXIFの向きを適用するため、出力は正しい向きになる
+    const bitmap = await createImageBitmap(blob);
+    const size = getEditedSize(bitmap.width, bitmap.height, edit);
+    const scale = Math.min(1, maxDimension / Math.max(size.width, size.height));
+    const width = Math.max(1, Math.round(size.width * scale));
+    const height = Math.max(1, Math.round(size.height * scale));
+    
+    let canvas;
+    if (typeof OffscreenCanvas === 'function') {
+        canvas = new OffscreenCanvas(width, height);
+    } else {
+        canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+    }
+    
+    const ctx = canvas.getContext('2d');
+    if (type === 'image/jpeg') {
+        // JPEGは透過できないため、透明部分を白にする
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+    }
+    ctx.imageSmoothingQuality = 'high';
+    drawEditedImage(ctx, bitmap, edit, width, height);
+    bitmap.close();
+    
+    const output = canvas.convertToBlob
+        ? await canvas.convertToBlob({ type, quality })
+        : await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    return { blob: output, width, height, resized: scale < 1 };
+}
+
+/**
+ * 縮小用Workerの処理本体（文字列化してWorker内で実行する）
+ */
+function imageResizeWorkerMain() {
+    self.onmessage = async (event) => {
+        const { id, ...request } = event.data;
+        try {
+            self.postMessage({ id, ...(await encodeResizedImage(request)) });
+        } catch (error) {
+            self.postMessage({ id, error: error.message || String(error) });
+        }
+    };
+}
+
+/**
+ * 縮小用Workerを取得（WorkerまたはOffscreenCanvasが使えない場合はnull）
+ */
+function getResizeWorker() {
+    if (resizeWorker) return resizeWorker;
+    if (typeof Worker !== 'function' || typeof OffscreenCanvas !== 'function') return null;
+    
+    try {
+        // file://で開いた場合も動くよう、別ファイルではなくBlob URLからWorkerを作る
+        const source = [encodeResizedImage, getEditedSize, drawEditedImage].map(fn => fn.toString()).join('\n') +
+            `\n(${imageResizeWorkerMain.toString()})();`;
+        resizeWorkerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        resizeWorker = new Worker(resizeWorkerUrl);
+    } catch (error) {
+        console.warn('縮小用Workerを起動できませんでした:', error);
+        terminateResizeWorker();
+        return null;
+    }
+    
+    resizeWorker.onmessage = (event) => {
+        const { id, ...result } = event.data;
+        const resolve = resizeRequests.get(id);
+        resizeRequests.delete(id);
+        if (resolve) resolve(result);
+    };
+    resizeWorker.onerror = (event) => {
+        console.error('縮小用Workerでエラーが発生しました:', event.message);
+        resizeRequests.forEach(resolve => resolve({ error: event.message || 'Workerエラー' }));
+        resizeRequests.clear();
+        terminateResizeWorker();
+    };
+    return resizeWorker;
+}
+
+/**
+ * 縮小用Workerを終了（ダウンロードごとにメモリを解放）
+ */
+function terminateResizeWorker() {
+    if (resizeWorker) resizeWorker.terminate();
+    if (resizeWorkerUrl) URL.revokeObjectURL(resizeWorkerUrl);
+    resizeWorker = null;
+    resizeWorkerUrl = null;
+}
+
+/**
+ * 出力プロファイルに従って画像を縮小・再圧縮（editがあれば回転・トリミングも適用）
+ * Workerが使えないブラウザではメインスレッドで処理する
+ */
+async function resizeImage(blob, profile, edit = null) {
+    const request = {
+        blob,
+        maxDimension: profile.maxDimension,
+        type: (OUTPUT_FORMATS[profile.format] || OUTPUT_FORMATS.jpeg).type,
+        quality: profile.quality / 100,
+        edit
+    };
+    
+    const worker = getResizeWorker();
+    if (!worker) {
+        try {
+            return await encodeResizedImage(request);
+        } catch (error) {
+            return { error: error.message || String(error) };
+        }
+    }
+    
+    return new Promise(resolve => {
+        const id = ++resizeRequestId;
+        resizeRequests.set(id, resolve);
+        worker.postMessage({ id, ...request });
+    });
+}
+
+/**
+ * バイト数を読みやすい単位で表示
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * 出力プロファイルの設定フォームを初期化
+ */
+function initializeOutputProfileForm() {
+    syncOutputProfileForm();
+    
+    ['outputProfileSelect', 'maxDimensionInput', 'outputFormatSelect', 'outputQualityInput'].forEach(id => {
+        document.getElementById(id).addEventListener('input', handleOutputProfileInput);
+        document.getElementById(id).addEventListener('change', handleOutputProfileInput);
+    });
+}
+
+/**
+ * 出力プロファイルの入力欄に現在の設定を反映
+ */
+function syncOutputProfileForm() {
+    const profile = { ...DEFAULT_OUTPUT_PROFILE, ...AppState.settings.outputProfile };
+    document.getElementById('outputProfileSelect').value = profile.mode;
+    document.getElementById('maxDimensionInput').value = profile.maxDimension;
+    document.getElementById('outputFormatSelect').value = profile.format;
+    document.getElementById('outputQualityInput').value = profile.quality;
+    updateOutputProfileForm();
+}
+
+/**
+ * 出力プロファイルの表示を更新
+ */
+function updateOutputProfileForm() {
+    const resize = document.getElementById('outputProfileSelect').value === 'resize';
+    document.getElementById('resizeOptions').hidden = !resize;
+    document.getElementById('outputQualityValue').textContent = document.getElementById('outputQualityInput').value;
+}
+
+/**
+ * 出力プロファイルの入力時に設定へ保存
+ */
+function handleOutputProfileInput() {
+    updateOutputProfileForm();
+    
+    const maxDimension = Math.round(Number(document.getElementById('maxDimensionInput').value));
+    if (!Number.isFinite(maxDimension) || maxDimension < 100) return;
+    
+    AppState.settings.outputProfile = {
+        mode: document.getElementById('outputProfileSelect').value,
+        maxDimension,
+        format: document.getElementById('outputFormatSelect').value,
+        quality: Number(document.getElementById('outputQualityInput').value)
+    };
+    saveSettings();
+}
+
+// ============================================
+// オフライン対応（Service Worker）
+// ============================================
+
+/**
+ * Service Workerを登録（http/httpsで配信している場合のみ）
+ * file://で開いた場合は同梱のライブラリだけでオフライン動作する
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+    
+    try {
+        await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+        console.warn('Service Workerの登録に失敗しました:', error);
+    }
+}
+
+// ============================================
+// IDマスターの編集
+// ============================================
+
+/**
+ * 各マスターの定義（シート名・列見出しは parseMasterTables が読む形式に合わせる。別名は列の自動対応に使う）
+ */
+const MASTER_DEFINITIONS = {
+    material: {
+        label: '素材',
+        sheetName: '素材',
+        sheetKeywords: ['素材', 'material'],
+        nameHeader: '素材名',
+        idHeader: '素材ID',
+        categoryHeader: '素材区分',
+        nameAliases: ['素材', 'material', 'material name'],
+        idAliases: ['素材コード', 'material id', 'material code', 'id', 'code'],
+        categoryAliases: ['区分', 'カテゴリ', 'カテゴリー', 'category', 'material category', 'material type'],
+        idPrefix: 'M',
+        field: 'material',
+        getMap: () => AppState.materials
+    },
+    processing: {
+        label: '加工方法',
+        sheetName: '加工',
+        sheetKeywords: ['加工', 'process'],
+        nameHeader: '加工方法名',
+        idHeader: '加工ID',
+        nameAliases: ['加工方法', '加工名', 'processing', 'process', 'process name', 'processing method', 'method'],
+        idAliases: ['加工コード', 'processing id', 'process id', 'process code', 'id', 'code'],
+        idPrefix: 'P',
+        field: 'processing',
+        getMap: () => AppState.processingMethods
+    },
+    implementer: {
+        label: '実施者',
+        sheetName: '実施者',
+        sheetKeywords: ['実施者', '担当', 'implementer', 'worker', 'staff'],
+        nameHeader: '実施者名',
+        idHeader: '実施者ID',
+        nameAliases: ['名前', '氏名', '担当者', 'implementer', 'implementer name', 'worker', 'staff', 'name'],
+        idAliases: ['ID', '担当者ID', 'implementer id', 'worker id', 'staff id', 'code'],
+        idPrefix: 'U',
+        field: 'implementer',
+        getMap: () => AppState.implementers
+    }
+};
+
+const MasterEditorState = {
+    type: 'material',
+    proposedId: ''
+};
+
+/**
+ * マスター編集パネルを開く
+ */
+function openMasterEditor() {
+    const panel = document.getElementById('masterEditorPanel');
+    panel.hidden = false;
+    renderMasterEditor();
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    document.getElementById('masterNameInput').focus();
+}
+
+/**
+ * マスター編集パネルを閉じる
+ */
+function closeMasterEditor() {
+    document.getElementById('masterEditorPanel').hidden = true;
+}
+
+/**
+ * 編集するマスターを切り替える
+ */
+function switchMasterTab(type) {
+    MasterEditorState.type = type;
+    MasterEditorState.proposedId = '';
+    document.getElementById('masterIdInput').value = '';
+    document.getElementById('masterEditorError').textContent = '';
+    renderMasterEditor();
+}
+
+/**
+ * 既存のIDの並びから次のIDを提案（例: M001, M002 → M003）
+ * 最も多く使われている接頭辞に合わせ、数字の桁数も揃える
+ */
+function proposeNextId(ids, defaultPrefix) {
+    const groups = new Map();
+    ids.forEach(id => {
+        const match = /^(.*?)(\d+)$/.exec(String(id));
+        if (!match) return;
+        const [, prefix, digits] = match;
+        const group = groups.get(prefix) || { count: 0, max: 0, width: 0 };
+        group.count++;
+        group.max = Math.max(group.max, Number(digits));
+        group.width = Math.max(group.width, digits.length);
+        groups.set(prefix, group);
+    });
+    
+    if (groups.size === 0) return `${defaultPrefix}001`;
+    
+    const [prefix, group] = Array.from(groups.entries()).sort(([, a], [, b]) => b.count - a.count)[0];
+    const existing = new Set(ids.map(id => String(id).toLowerCase()));
+    let next = group.max + 1;
+    while (existing.has(`${prefix}${String(next).padStart(group.width, '0')}`.toLowerCase())) {
+        next++;
+    }
+    return `${prefix}${String(next).padStart(group.width, '0')}`;
+}
+
+/**
+ * マスターの項目を使っている画像の数（処理済み・入力途中）
+ */
+function countMasterUsage(type, name) {
+    const field = MASTER_DEFINITIONS[type].field;
+    let count = 0;
+    AppState.processedFiles.forEach(data => {
+        if (data.fields[field] === name) count++;
+    });
+    AppState.draftFields.forEach(fields => {
+        if (fields[field] === name) count++;
+    });
+    return count;
+}
+
+/**
+ * マスター編集パネルを描画
+ */
+function renderMasterEditor() {
+    const type = MasterEditorState.type;
+    const definition = MASTER_DEFINITIONS[type];
+    const map = definition.getMap();
+    const isMaterial = type === 'material';
+    
+    document.querySelectorAll('.master-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.master === type);
+        tab.setAttribute('aria-selected', String(tab.dataset.master === type));
+    });
+    
+    // 追加フォーム
+    document.getElementById('masterNameInput').placeholder = definition.nameHeader;
+    document.getElementById('masterIdInput').placeholder = definition.idHeader;
+    document.getElementById('masterCategoryInput').hidden = !isMaterial;
+    const categoryList = document.getElementById('masterCategoryList');
+    categoryList.innerHTML = '';
+    Object.keys(AppState.materialCategories).forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        categoryList.appendChild(option);
+    });
+    
+    // 利用者が書き換えていなければ、提案するIDを更新
+    const idInput = document.getElementById('masterIdInput');
+    const proposedId = proposeNextId(Object.values(map), definition.idPrefix);
+    if (!idInput.value || idInput.value === MasterEditorState.proposedId) {
+        idInput.value = proposedId;
+    }
+    MasterEditorState.proposedId = proposedId;
+    
+    // 一覧
+    const table = document.getElementById('masterTable');
+    table.innerHTML = '';
+    const headerRow = table.createTHead().insertRow();
+    const headers = [definition.nameHeader, definition.idHeader];
+    if (isMaterial) headers.push(definition.categoryHeader);
+    headers.push('使用中', '');
+    headers.forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headerRow.appendChild(th);
+    });
+    
+    const body = table.createTBody();
+    Object.entries(map).forEach(([name, id]) => {
+        const row = body.insertRow();
+        const values = [name, id];
+        if (isMaterial) values.push(findMaterialCategory(name) || '');
+        const usage = countMasterUsage(type, name);
+        values.push(usage > 0 ? `${usage}枚` : '');
+        values.forEach(value => {
+            row.insertCell().textContent = value;
+        });
+        
+        // 使われていない行だけ削除できる（入力済みの値が宙に浮かないように）
+        const actionCell = row.insertCell();
+        if (usage === 0) {
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'btn btn-secondary btn-small';
+            deleteButton.textContent = '削除';
+            deleteButton.addEventListener('click', () => deleteMasterRow(type, name));
+            actionCell.appendChild(deleteButton);
+        }
+    });
+    
+    if (Object.keys(map).length === 0) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = headers.length;
+        cell.className = 'placeholder-text';
+        cell.textContent = `${definition.label}はまだ登録されていません`;
+    }
+}
+
+/**
+ * 入力した行をマスターに追加
+ */
+function addMasterRow() {
+    const type = MasterEditorState.type;
+    const definition = MASTER_DEFINITIONS[type];
+    const map = definition.getMap();
+    const error = document.getElementById('masterEditorError');
+    
+    const name = document.getElementById('masterNameInput').value.trim();
+    const id = document.getElementById('masterIdInput').value.trim();
+    const category = document.getElementById('masterCategoryInput').value.trim();
+    
+    const problems = [];
+    if (!name) problems.push(`${definition.nameHeader}を入力してください`);
+    if (!id) problems.push(`${definition.idHeader}を入力してください`);
+    if (type === 'material' && !category) problems.push('素材区分を入力してください');
+    if (name && map[name] !== undefined) problems.push(`「${name}」は既に登録されています`);
+    if (id && Object.values(map).some(existing => String(existing).toLowerCase() === id.toLowerCase())) {
+        problems.push(`ID「${id}」は既に使われています`);
+    }
+    const unsafe = findUnsafeChars(id, getTemplateSeparators(AppState.settings.filenameTemplate));
+    if (unsafe.length > 0) {
+        problems.push(`IDにファイル名で使えない文字（${unsafe.map(describeChar).join('、')}）が含まれています`);
+    }
+    
+    if (problems.length > 0) {
+        error.textContent = `⚠️ ${problems.join(' / ')}`;
+        return;
+    }
+    error.textContent = '';
+    
+    map[name] = id;
+    if (type === 'material') {
+        AppState.materialNameToId[name] = id;
+        if (!AppState.materialCategories[category]) {
+            AppState.materialCategories[category] = [];
+        }
+        AppState.materialCategories[category].push(name);
+    }
+    
+    handleMasterDataChanged();
+    updateStatus('excelStatus', `✅ ${definition.label}「${name}」(${id}) を追加しました`, 'success');
+    
+    document.getElementById('masterNameInput').value = '';
+    document.getElementById('masterIdInput').value = '';
+    document.getElementById('masterNameInput').focus();
+    renderMasterEditor();
+}
+
+/**
+ * 使われていない行をマスターから削除
+ */
+function deleteMasterRow(type, name) {
+    const definition = MASTER_DEFINITIONS[type];
+    if (!confirm(`${definition.label}「${name}」をマスターから削除しますか？`)) return;
+    
+    delete definition.getMap()[name];
+    if (type === 'material') {
+        delete AppState.materialNameToId[name];
+        const category = findMaterialCategory(name);
+        if (category) {
+            AppState.materialCategories[category] = AppState.materialCategories[category].filter(item => item !== name);
+            if (AppState.materialCategories[category].length === 0) {
+                delete AppState.materialCategories[category];
+            }
+        }
+    }
+    
+    handleMasterDataChanged();
+    renderMasterEditor();
+}
+
+/**
+ * マスター変更後に、選択中の値を保ったままドロップダウンを更新して保存
+ */
+function handleMasterDataChanged() {
+    const selectIds = ['implementerSelect', 'materialCategorySelect', 'materialSelect', 'processingSelect'];
+    const values = Object.fromEntries(selectIds.map(id => [id, document.getElementById(id).value]));
+    
+    updateSelect('implementerSelect', Object.keys(AppState.implementers));
+    updateSelect('materialCategorySelect', Object.keys(AppState.materialCategories));
+    updateSelect('processingSelect', Object.keys(AppState.processingMethods));
+    if (values.materialCategorySelect && AppState.materialCategories[values.materialCategorySelect]) {
+        updateSelect('materialSelect', AppState.materialCategories[values.materialCategorySelect]);
+    }
+    selectIds.forEach(id => {
+        document.getElementById(id).value = values[id];
+    });
+    syncComboboxes();
+    
+    if (!document.getElementById('gridSection').hidden) {
+        renderGrid();
+    }
+    
+    // マスターがそろって作業を始められるようになった場合
+    const wasReady = AppState.isReady;
+    if (!wasReady) {
+        checkReadyState();
+        if (AppState.isReady) {
+            displayCurrentImage();
+            updateNavigationButtons();
+            syncFormWithCurrentImage();
+        }
+    }
+    
+    updateFilenamePreview();
+    saveSessionState();
+}
+
+/**
+ * 現在のマスターをIDマスターと同じシート構成のワークブックにする
+ */
+function buildMasterWorkbook() {
+    const workbook = XLSX.utils.book_new();
+    
+    Object.entries(MASTER_DEFINITIONS).forEach(([type, definition]) => {
+        const headers = [definition.nameHeader, definition.idHeader];
+        if (type === 'material') headers.push(definition.categoryHeader);
+        
+        const rows = [headers];
+        Object.entries(definition.getMap()).forEach(([name, id]) => {
+            const row = [name, id];
+            if (type === 'material') row.push(findMaterialCategory(name) || '');
+            rows.push(row);
+        });
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), definition.sheetName);
+    });
+    
+    // 既定以外のファイル名設定は設定シートに残す
+    const { filenameTemplate, projectCode, weightUnit, weightDecimals } = AppState.settings;
+    if (filenameTemplate !== DEFAULT_FILENAME_TEMPLATE || projectCode || weightUnit || weightDecimals !== '') {
+        const rows = [['項目', '値'], ['ファイル名テンプレート', filenameTemplate], ['プロジェクトコード', projectCode]];
+        if (weightUnit) rows.push(['重量の単位', weightUnit]);
+        if (weightDecimals !== '') rows.push(['重量の小数桁数', weightDecimals]);
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), '設定');
+    }
+    
+    return workbook;
+}
+
+/**
+ * 更新したIDマスターをダウンロード
+ */
+function downloadMasterWorkbook() {
+    if (!hasMasterData()) {
+        document.getElementById('masterEditorError').textContent = '⚠️ 素材・加工方法・実施者をそれぞれ1件以上登録してください';
+        return;
+    }
+    
+    const data = XLSX.write(buildMasterWorkbook(), { bookType: 'xlsx', type: 'array' });
+    const blob = new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    saveAs(blob, `IDマスター_${timestamp}.xlsx`);
+}
+
+/**
+ * マスター編集パネルの初期化
+ */
+function initializeMasterEditor() {
+    document.getElementById('editMasterButton').addEventListener('click', openMasterEditor);
+    document.getElementById('closeMasterEditorButton').addEventListener('click', closeMasterEditor);
+    document.getElementById('addMasterRowButton').addEventListener('click', addMasterRow);
+    document.getElementById('downloadMasterButton').addEventListener('click', downloadMasterWorkbook);
+    document.querySelectorAll('.master-tab').forEach(tab => {
+        tab.addEventListener('click', () => switchMasterTab(tab.dataset.master));
+    });
+    ['masterNameInput', 'masterIdInput', 'masterCategoryInput'].forEach(id => {
+        document.getElementById(id).addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') addMasterRow();
+        });
+    });
+}
+
+// ============================================
+// IDマスターの列の対応
+// ============================================
+
+const HeaderMappingState = {
+    tables: null,
+    fileName: '',
+    mapping: null
+};
+
+/**
+ * マスターの列の定義（名前・ID・素材区分）
+ */
+function getMasterColumns(type) {
+    const definition = MASTER_DEFINITIONS[type];
+    const columns = [
+        { key: 'name', header: definition.nameHeader, aliases: definition.nameAliases || [] },
+        { key: 'id', header: definition.idHeader, aliases: definition.idAliases || [] }
+    ];
+    if (definition.categoryHeader) {
+        columns.push({ key: 'category', header: definition.categoryHeader, aliases: definition.categoryAliases || [] });
+    }
+    return columns;
+}
+
+/**
+ * 見出しの比較用に正規化（全角・半角、大文字・小文字、空白や記号の違いを無視）
+ */
+function normalizeHeader(value) {
+    return String(value ?? '').normalize('NFKC').toLowerCase().replace(/[\s_\-・.]/g, '');
+}
+
+/**
+ * 表の見出し行
+ */
+function getTableHeaders(table) {
+    return (table.rows[0] || []).map(value => String(value ?? '').trim());
+}
+
+/**
+ * 表の列構成を表すキー（見出しを並べたもの）
+ */
+function getTableHeaderKey(table) {
+    return getTableHeaders(table).join('\t');
+}
+
+/**
+ * 読み込んだファイル全体の列構成を表すキー
+ * ファイル名やシート名は毎回変わりうるため見出しだけで判定する
+ */
+function getLayoutSignature(tables) {
+    return tables.map(getTableHeaderKey).sort().join('\n');
+}
+
+/**
+ * 名前にキーワードを含む表を検索
+ */
+function findMasterTable(tables, keywords) {
+    const normalizedKeywords = keywords.map(normalizeHeader);
+    return tables.find(table => {
+        const name = normalizeHeader(table.name);
+        return normalizedKeywords.some(keyword => name.includes(keyword));
+    }) || null;
+}
+
+/**
+ * 見出しと別名から各項目の列番号を推定（見つからなければ -1）
+ */
+function detectMasterColumns(table, type) {
+    const headers = getTableHeaders(table).map(normalizeHeader);
+    const columns = {};
+    getMasterColumns(type).forEach(column => {
+        const candidates = [column.header, ...column.aliases].map(normalizeHeader);
+        const candidate = candidates.find(name => headers.includes(name));
+        columns[column.key] = candidate ? headers.indexOf(candidate) : -1;
+    });
+    return columns;
+}
+
+/**
+ * 表と列の対応を自動で推定
+ * シート名・ファイル名で見つからなければ、見出しがすべてそろう表を使う
+ */
+function detectHeaderMapping(tables) {
+    const mapping = {};
+    const claimed = new Set();
+    
+    Object.keys(MASTER_DEFINITIONS).forEach(type => {
+        const candidates = tables.filter(table => !claimed.has(table));
+        const table = findMasterTable(candidates, MASTER_DEFINITIONS[type].sheetKeywords) ||
+            candidates.find(t => Object.values(detectMasterColumns(t, type)).every(index => index !== -1)) ||
+            null;
+        if (table) claimed.add(table);
+        mapping[type] = { table, columns: table ? detectMasterColumns(table, type) : {} };
+    });
+    
+    return mapping;
+}
+
+/**
+ * 列の対応を決める（記憶した対応があればそれを優先）
+ */
+function resolveHeaderMapping(tables) {
+    return loadSavedHeaderMapping(tables) || detectHeaderMapping(tables);
+}
+
+/**
+ * すべてのマスターで表と列が決まっているか
+ */
+function isHeaderMappingComplete(mapping) {
+    return Object.keys(MASTER_DEFINITIONS).every(type => {
+        const entry = mapping[type];
+        return entry && entry.table && getMasterColumns(type).every(column => (entry.columns[column.key] ?? -1) !== -1);
+    });
+}
+
+/**
+ * 記憶した列の対応を読み込む
+ */
+function readSavedHeaderMappings() {
+    try {
+        return JSON.parse(localStorage.getItem(HEADER_MAPPINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('列の対応の読み込みに失敗しました:', error);
+        return {};
+    }
+}
+
+/**
+ * 同じ列構成で記憶した対応を表に当てはめる（合わなければ null）
+ */
+function loadSavedHeaderMapping(tables) {
+    const saved = readSavedHeaderMappings()[getLayoutSignature(tables)];
+    if (!saved) return null;
+    
+    const mapping = {};
+    for (const type of Object.keys(MASTER_DEFINITIONS)) {
+        const entry = saved[type];
+        if (!entry) return null;
+        
+        // 同じ見出しの表が複数ある場合は表の名前、次に出てくる順番で選ぶ
+        const sameLayout = tables.filter(table => getTableHeaderKey(table) === entry.headerKey);
+        const table = sameLayout.find(t => t.name === entry.name) || sameLayout[entry.occurrence] || null;
+        if (!table) return null;
+        
+        const headers = getTableHeaders(table);
+        const columns = {};
+        Object.entries(entry.columns).forEach(([key, header]) => {
+            columns[key] = headers.indexOf(header);
+        });
+        mapping[type] = { table, columns };
+    }
+    return mapping;
+}
+
+/**
+ * 列の対応を列構成ごとに記憶する
+ */
+function saveHeaderMapping(tables, mapping) {
+    const saved = {};
+    Object.keys(MASTER_DEFINITIONS).forEach(type => {
+        const { table, columns } = mapping[type];
+        const headerKey = getTableHeaderKey(table);
+        const headers = getTableHeaders(table);
+        saved[type] = {
+            headerKey,
+            name: table.name,
+            occurrence: tables.filter(t => getTableHeaderKey(t) === headerKey).indexOf(table),
+            columns: Object.fromEntries(Object.entries(columns).map(([key, index]) => [key, headers[index]]))
+        };
+    });
+    
+    try {
+        const mappings = readSavedHeaderMappings();
+        mappings[getLayoutSignature(tables)] = saved;
+        localStorage.setItem(HEADER_MAPPINGS_STORAGE_KEY, JSON.stringify(mappings));
+    } catch (error) {
+        console.warn('列の対応の保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 列の対応パネルを開く
+ */
+function openHeaderMappingDialog() {
+    if (!HeaderMappingState.tables) return;
+    document.getElementById('headerMappingError').textContent = '';
+    renderHeaderMappingTable();
+    const panel = document.getElementById('headerMappingPanel');
+    panel.hidden = false;
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * 列の対応パネルを閉じる
+ */
+function closeHeaderMappingDialog() {
+    document.getElementById('headerMappingPanel').hidden = true;
+}
+
+/**
+ * 列の対応の表を描画
+ */
+function renderHeaderMappingTable() {
+    const { tables, mapping } = HeaderMappingState;
+    const table = document.getElementById('headerMappingTable');
+    table.innerHTML = '';
+    
+    const headRow = table.createTHead().insertRow();
+    ['マスター', '表（シート・ファイル）', '名前の列', 'IDの列', '素材区分の列'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+    
+    const body = table.createTBody();
+    Object.entries(MASTER_DEFINITIONS).forEach(([type, definition]) => {
+        const entry = mapping[type];
+        const row = body.insertRow();
+        row.insertCell().textContent = definition.label;
+        
+        const tableSelect = createMappingSelect('（選択してください）', tables.map((t, index) => ({
+            value: String(index),
+            label: getTableLabel(t, tables)
+        })), entry.table ? String(tables.indexOf(entry.table)) : '');
+        tableSelect.addEventListener('change', () => {
+            const selected = tables[Number(tableSelect.value)] || null;
+            mapping[type] = { table: selected, columns: selected ? detectMasterColumns(selected, type) : {} };
+            renderHeaderMappingTable();
+        });
+        row.insertCell().appendChild(tableSelect);
+        
+        const columns = getMasterColumns(type);
+        ['name', 'id', 'category'].forEach(key => {
+            const cell = row.insertCell();
+            if (!columns.some(column => column.key === key)) {
+                cell.textContent = '—';
+                return;
+            }
+            if (!entry.table) return;
+            
+            // 見出しに1行目のデータを添えて列を選びやすくする
+            const sample = entry.table.rows[1] || [];
+            const options = getTableHeaders(entry.table).map((header, index) => {
+                const example = String(sample[index] ?? '').trim();
+                return {
+                    value: String(index),
+                    label: `${header || `(${index + 1}列目)`}${example ? `（例: ${example}）` : ''}`
+                };
+            });
+            const index = entry.columns[key] ?? -1;
+            const select = createMappingSelect('（選択してください）', options, index === -1 ? '' : String(index));
+            select.addEventListener('change', () => {
+                entry.columns[key] = select.value === '' ? -1 : Number(select.value);
+            });
+            cell.appendChild(select);
+        });
+    });
+}
+
+/**
+ * 列の対応用のセレクトボックスを作成
+ */
+function createMappingSelect(placeholder, options, value) {
+    const select = document.createElement('select');
+    select.className = 'grid-input';
+    [{ value: '', label: placeholder }, ...options].forEach(option => {
+        const element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = option.label;
+        select.appendChild(element);
+    });
+    select.value = value;
+    return select;
+}
+
+/**
+ * 選んだ列の対応でIDマスターを読み込む
+ */
+function applyHeaderMapping() {
+    const { tables, mapping, fileName } = HeaderMappingState;
+    const errorElement = document.getElementById('headerMappingError');
+    
+    const missing = [];
+    Object.entries(MASTER_DEFINITIONS).forEach(([type, definition]) => {
+        const entry = mapping[type];
+        if (!entry.table) {
+            missing.push(`${definition.label}の表`);
+            return;
+        }
+        getMasterColumns(type).forEach(column => {
+            if ((entry.columns[column.key] ?? -1) === -1) {
+                missing.push(`${definition.label}の「${column.header}」の列`);
+            }
+        });
+    });
+    if (missing.length > 0) {
+        errorElement.textContent = `${missing.join('、')}を選んでください`;
+        return;
+    }
+    errorElement.textContent = '';
+    
+    if (document.getElementById('rememberMappingCheckbox').checked) {
+        saveHeaderMapping(tables, mapping);
+    }
+    if (loadMasterTables(tables, mapping, fileName)) {
+        closeHeaderMappingDialog();
+    }
+}
+
+/**
+ * 列の対応パネルの初期化
+ */
+function initializeHeaderMapping() {
+    document.getElementById('headerMappingButton').addEventListener('click', openHeaderMappingDialog);
+    document.getElementById('closeHeaderMappingButton').addEventListener('click', closeHeaderMappingDialog);
+    document.getElementById('applyHeaderMappingButton').addEventListener('click', applyHeaderMapping);
+}
+
+// ============================================
+// LCA集計
+// ============================================
+
+// 集計表の表示で丸める小数点以下の桁数
+const SUMMARY_DISPLAY_DECIMALS = 3;
+
+/**
+ * 処理済みファイルを部品（番号）ごとにまとめて集計
+ * P/Mなど同じ番号の写真は1つの部品として数え、重量は最初の写真の値を使う
+ */
+function buildLcaSummary(unit) {
+    const parts = new Map();
+    const warnings = [];
+    const photosByImplementer = new Map();
+    let photoCount = 0;
+    
+    AppState.imageFiles.forEach(file => {
+        const data = AppState.processedFiles.get(getFileKey(file));
+        if (!data) return;
+        const fields = data.fields;
+        photoCount++;
+        
+        const implementer = photosByImplementer.get(fields.implementer) || { photos: 0, numbers: new Set() };
+        implementer.photos++;
+        implementer.numbers.add(fields.number);
+        photosByImplementer.set(fields.implementer, implementer);
+        
+        const mass = convertWeight(fields.weight, fields.unit, unit);
+        const part = parts.get(fields.number);
+        if (!part) {
+            if (mass === null) {
+                warnings.push(`番号${fields.number}: 重量「${fields.weight} ${fields.unit}」を数値として読めないため質量の集計から除きました`);
+            }
+            parts.set(fields.number, {
+                number: fields.number,
+                partName: fields.partName,
+                mass,
+                materialCategory: fields.materialCategory,
+                material: fields.material,
+                processing: fields.processing,
+                implementer: fields.implementer,
+                photos: 1
+            });
+            return;
+        }
+        
+        part.photos++;
+        const differences = [];
+        if (mass !== null && part.mass !== null && roundWeight(mass, 6) !== roundWeight(part.mass, 6)) differences.push('重量');
+        if (fields.material !== part.material) differences.push('素材');
+        if (fields.processing !== part.processing) differences.push('加工方法');
+        if (differences.length > 0) {
+            warnings.push(`番号${fields.number}: ${differences.join('・')}が写真によって異なります（${getFileKey(file)} の値は集計に使っていません）`);
+        }
+    });
+    
+    const partList = Array.from(parts.values());
+    const totalMass = partList.reduce((sum, part) => sum + (part.mass ?? 0), 0);
+    const groupParts = (getKey, getExtra) => {
+        const groups = new Map();
+        partList.forEach(part => {
+            const key = getKey(part);
+            const group = groups.get(key) || { name: key, ...getExtra(part), parts: 0, mass: 0 };
+            group.parts++;
+            group.mass += part.mass ?? 0;
+            groups.set(key, group);
+        });
+        return Array.from(groups.values())
+            .map(group => ({ ...group, share: totalMass > 0 ? group.mass / totalMass : 0 }))
+            .sort((a, b) => b.mass - a.mass);
+    };
+    
+    return {
+        unit,
+        photoCount,
+        totalMass,
+        parts: partList,
+        warnings,
+        byCategory: groupParts(part => part.materialCategory, () => ({})),
+        byMaterial: groupParts(part => part.material, part => ({
+            category: part.materialCategory,
+            id: AppState.materialNameToId[part.material] || ''
+        })),
+        byProcessing: groupParts(part => part.processing, part => ({
+            id: AppState.processingMethods[part.processing] || ''
+        })),
+        byImplementer: Array.from(photosByImplementer.entries())
+            .map(([name, { photos, numbers }]) => ({
+                name,
+                id: AppState.implementers[name] || '',
+                photos,
+                parts: numbers.size,
+                share: photoCount > 0 ? photos / photoCount : 0
+            }))
+            .sort((a, b) => b.photos - a.photos)
+    };
+}
+
+/**
+ * 重量を指定の単位に換算（数値として読めなければ null）
+ */
+function convertWeight(weight, fromUnit, toUnit) {
+    const parsed = parseWeight(weight);
+    if (!parsed || WEIGHT_UNITS[fromUnit] === undefined) return null;
+    return parsed.value * WEIGHT_UNITS[fromUnit] / WEIGHT_UNITS[toUnit];
+}
+
+/**
+ * 集計値の表示用の書式
+ */
+function formatSummaryNumber(value) {
+    return roundWeight(value, SUMMARY_DISPLAY_DECIMALS).toLocaleString('ja-JP', { maximumFractionDigits: SUMMARY_DISPLAY_DECIMALS });
+}
+
+/**
+ * 集計パネルを開く
+ */
+function openSummaryPanel() {
+    const unitSelect = document.getElementById('summaryUnitSelect');
+    if (!unitSelect.dataset.chosen) {
+        unitSelect.value = AppState.settings.weightUnit || 'kg';
+    }
+    renderLcaSummary();
+    const panel = document.getElementById('summaryPanel');
+    panel.hidden = false;
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * 集計パネルを閉じる
+ */
+function closeSummaryPanel() {
+    document.getElementById('summaryPanel').hidden = true;
+}
+
+/**
+ * 集計パネルを描画
+ */
+function renderLcaSummary() {
+    const summary = buildLcaSummary(document.getElementById('summaryUnitSelect').value);
+    const unit = summary.unit;
+    
+    document.getElementById('summaryTotals').textContent =
+        `部品 ${summary.parts.length}点 / 写真 ${summary.photoCount}枚 / 総質量 ${formatSummaryNumber(summary.totalMass)} ${unit}`;
+    
+    const warningsElement = document.getElementById('summaryWarnings');
+    warningsElement.innerHTML = '';
+    if (summary.warnings.length > 0) {
+        const title = document.createElement('p');
+        title.className = 'report-title';
+        title.textContent = `⚠️ 確認が必要な部品 (${summary.warnings.length}件)`;
+        warningsElement.appendChild(title);
+        const list = document.createElement('ul');
+        summary.warnings.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        warningsElement.appendChild(list);
+    }
+    warningsElement.style.display = summary.warnings.length > 0 ? 'block' : 'none';
+    
+    const massColumn = { label: `質量 (${unit})`, value: row => formatSummaryNumber(row.mass), numeric: true };
+    const shareColumn = { label: '割合', bar: true };
+    renderSummaryTable('summaryCategoryTable', [
+        { label: '素材区分', value: row => row.name },
+        { label: '部品数', value: row => row.parts, numeric: true },
+        massColumn,
+        shareColumn
+    ], summary.byCategory);
+    renderSummaryTable('summaryMaterialTable', [
+        { label: '素材区分', value: row => row.category },
+        { label: '素材名', value: row => row.name },
+        { label: '素材ID', value: row => row.id },
+        { label: '部品数', value: row => row.parts, numeric: true },
+        massColumn,
+        shareColumn
+    ], summary.byMaterial);
+    renderSummaryTable('summaryProcessingTable', [
+        { label: '加工方法', value: row => row.name },
+        { label: '加工ID', value: row => row.id },
+        { label: '部品数', value: row => row.parts, numeric: true },
+        massColumn,
+        shareColumn
+    ], summary.byProcessing);
+    renderSummaryTable('summaryImplementerTable', [
+        { label: '実施者', value: row => row.name },
+        { label: '実施者ID', value: row => row.id },
+        { label: '写真枚数', value: row => row.photos, numeric: true },
+        { label: '部品数', value: row => row.parts, numeric: true },
+        shareColumn
+    ], summary.byImplementer);
+    
+    document.getElementById('downloadSummaryButton').disabled = summary.photoCount === 0;
+}
+
+/**
+ * 集計表を描画（割合の列は横棒グラフで表示）
+ */
+function renderSummaryTable(tableId, columns, rows) {
+    const table = document.getElementById(tableId);
+    table.innerHTML = '';
+    
+    const headRow = table.createTHead().insertRow();
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column.label;
+        headRow.appendChild(th);
+    });
+    
+    const body = table.createTBody();
+    if (rows.length === 0) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = columns.length;
+        cell.className = 'placeholder-text';
+        cell.textContent = 'まだ処理されたファイルはありません';
+        return;
+    }
+    
+    rows.forEach(row => {
+        const tr = body.insertRow();
+        columns.forEach(column => {
+            const cell = tr.insertCell();
+            if (column.bar) {
+                const percent = Math.round(row.share * 1000) / 10;
+                const bar = document.createElement('div');
+                bar.className = 'summary-bar';
+                const fill = document.createElement('span');
+                fill.style.width = `${percent}%`;
+                bar.appendChild(fill);
+                cell.appendChild(bar);
+                cell.appendChild(document.createTextNode(`${percent}%`));
+                cell.className = 'summary-share';
+                return;
+            }
+            cell.textContent = column.value(row);
+            if (column.numeric) cell.className = 'numeric';
+        });
+    });
+}
+
+/**
+ * 集計をExcelファイルとして作成（部品一覧は一次インベントリの下書きとして使える形式）
+ */
+function buildSummaryWorkbook(summary) {
+    const unit = summary.unit;
+    const mass = (value) => value === null ? '' : roundWeight(value, CONVERTED_WEIGHT_MAX_DECIMALS);
+    const share = (value) => roundWeight(value * 100, 1);
+    const workbook = XLSX.utils.book_new();
+    const addSheet = (name, rows) => {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+    };
+    
+    addSheet('部品一覧', [
+        ['番号', '部品名', `質量 (${unit})`, '素材区分', '素材名', '素材ID', '加工方法', '加工ID', '実施者', '実施者ID', '写真枚数'],
+        ...summary.parts.map(part => [
+            Number(part.number) || part.number, part.partName, mass(part.mass), part.materialCategory,
+            part.material, AppState.materialNameToId[part.material] || '',
+            part.processing, AppState.processingMethods[part.processing] || '',
+            part.implementer, AppState.implementers[part.implementer] || '', part.photos
+        ]),
+        ['合計', '', mass(summary.totalMass), '', '', '', '', '', '', '', summary.photoCount]
+    ]);
+    addSheet('素材区分別', [
+        ['素材区分', '部品数', `質量 (${unit})`, '割合 (%)'],
+        ...summary.byCategory.map(row => [row.name, row.parts, mass(row.mass), share(row.share)])
+    ]);
+    addSheet('素材別', [
+        ['素材区分', '素材名', '素材ID', '部品数', `質量 (${unit})`, '割合 (%)'],
+        ...summary.byMaterial.map(row => [row.category, row.name, row.id, row.parts, mass(row.mass), share(row.share)])
+    ]);
+    addSheet('加工方法別', [
+        ['加工方法', '加工ID', '部品数', `質量 (${unit})`, '割合 (%)'],
+        ...summary.byProcessing.map(row => [row.name, row.id, row.parts, mass(row.mass), share(row.share)])
+    ]);
+    addSheet('実施者別', [
+        ['実施者', '実施者ID', '写真枚数', '部品数', '割合 (%)'],
+        ...summary.byImplementer.map(row => [row.name, row.id, row.photos, row.parts, share(row.share)])
+    ]);
+    
+    return workbook;
+}
+
+/**
+ * 集計をExcelファイルでダウンロード
+ */
+function downloadSummaryWorkbook() {
+    const summary = buildLcaSummary(document.getElementById('summaryUnitSelect').value);
+    if (summary.photoCount === 0) return;
+    
+    const data = XLSX.write(buildSummaryWorkbook(summary), { bookType: 'xlsx', type: 'array' });
+    const blob = new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    const timestamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    saveAs(blob, `LCA集計_${timestamp}.xlsx`);
+}
+
+/**
+ * 集計パネルの初期化
+ */
+function initializeSummaryPanel() {
+    document.getElementById('summaryButton').addEventListener('click', openSummaryPanel);
+    document.getElementById('closeSummaryButton').addEventListener('click', closeSummaryPanel);
+    document.getElementById('downloadSummaryButton').addEventListener('click', downloadSummaryWorkbook);
+    document.getElementById('summaryUnitSelect').addEventListener('change', (event) => {
+        event.target.dataset.chosen = 'true';
+        renderLcaSummary();
+    });
+}
+
+// ============================================
+// ZIPの生成（Worker・進捗・分割・フォルダ構成）
+// ============================================
+
+// ZIPはZIP64に対応していないため、1つのZIPは4GB・65535ファイルまで。
+// 上限に余裕を持たせたこのサイズ・ファイル数を超える場合は自動で分割する
+const MAX_ZIP_BYTES = 4000 * 1024 * 1024;
+const MAX_ZIP_ENTRIES = 65535;
+const ZIP_CANCELLED_MESSAGE = 'ZIPの生成を中止しました';
+
+/**
+ * ZIP内のフォルダ構成（レコードの項目 → フォルダ名）
+ */
+const ZIP_LAYOUTS = {
+    flat: { label: 'フォルダ分けしない', folder: () => '' },
+    implementer: { label: '実施者ごと', folder: (fields) => fields.implementer },
+    materialCategory: { label: '素材区分ごと', folder: (fields) => fields.materialCategory },
+    number: { label: '番号（部品）ごと', folder: (fields, numberWidth) => String(fields.number).padStart(numberWidth, '0') }
+};
+
+const ZipExportState = {
+    running: false,
+    cancelled: false,
+    worker: null,
+    cancelWorker: null
+};
+
+/**
+ * ZIP内のフォルダ（末尾の / 付き、フォルダ分けしない場合は空文字）
+ */
+function getZipFolder(fields, layout, numberWidth) {
+    if (layout === 'flat' || !ZIP_LAYOUTS[layout]) return '';
+    const name = String(ZIP_LAYOUTS[layout].folder(fields, numberWidth) ?? '');
+    return `${sanitizeFilenameValue(name, new Set()) || '未設定'}/`;
+}
+
+/**
+ * ファイルを上限サイズごとのZIPに振り分ける（items: 同じZIPに入れるファイルのまとまり）
+ */
+function splitZipArchives(items, maxBytes) {
+    const archives = [[]];
+    let size = 0;
+    let count = 0;
+    
+    items.forEach(entries => {
+        const itemSize = entries.reduce((sum, entry) => sum + entry.blob.size, 0);
+        const current = archives[archives.length - 1];
+        if (current.length > 0 && (size + itemSize > maxBytes || count + entries.length > MAX_ZIP_ENTRIES - 1)) {
+            archives.push([]);
+            size = 0;
+            count = 0;
+        }
+        archives[archives.length - 1].push(...entries);
+        size += itemSize;
+        count += entries.length;
+    });
+    
+    return archives;
+}
+
+/**
+ * ZIPファイルを書き出す（Workerからも使うため、computeCrc32以外の外部の関数・変数を参照しない）
+ * entries: { path, blob, lastModified }（lastModified がなければ blob.lastModified、それもなければ現在時刻）
+ * compression: 'store'（無圧縮）または 'deflate'（CompressionStream が使えない場合は無圧縮）
+ * ZIP64には対応しないため、4GBまたは65535ファイルを超える分は呼び出し側で分割しておくこと
+ * ファイルの中身は少しずつ読んでCRCを計算し、元のBlobのまま（圧縮した場合は圧縮後のBlobで）ZIPに含める
+ */
+async function writeZipArchive(entries, compression, onProgress, isCancelled) {
+    const useDeflate = compression === 'deflate' &&
+        typeof CompressionStream === 'function' && typeof TransformStream === 'function';
+    const encoder = new TextEncoder();
+    // 汎用フラグ: ファイル名はUTF-8
+    const UTF8_FLAG = 0x0800;
+    
+    const parts = [];
+    const records = [];
+    let offset = 0;
+    let done = 0;
+    
+    for (const entry of entries) {
+        if (isCancelled && isCancelled()) {
+            throw new Error('cancelled');
+        }
+        
+        // 更新日時（DOS形式は1980年以降しか表せない）
+        let modified = new Date(entry.lastModified ?? entry.blob.lastModified ?? Date.now());
+        if (modified.getFullYear() < 1980) {
+            modified = new Date(1980, 0, 1);
+        }
+        const dosTime = (modified.getHours() << 11) | (modified.getMinutes() << 5) | (modified.getSeconds() >> 1);
+        const dosDate = ((modified.getFullYear() - 1980) << 9) | ((modified.getMonth() + 1) << 5) | modified.getDate();
+        
+        let crc = 0;
+        let body = entry.blob;
+        let method = 0;
+        if (useDeflate) {
+            // 圧縮前のデータでCRCを計算しながら圧縮する
+            const crcStream = new TransformStream({
+                transform(chunk, controller) {
+                    crc = computeCrc32(chunk, crc);
+                    controller.enqueue(chunk);
+                }
+            });
+            const stream = entry.blob.stream().pipeThrough(crcStream).pipeThrough(new CompressionStream('deflate-raw'));
+            const compressed = await new Response(stream).blob();
+            // JPEGなど圧縮済みの画像は小さくならないことが多いので、その場合は無圧縮で格納する
+            if (compressed.size < entry.blob.size) {
+                body = compressed;
+                method = 8;
+            }
+        } else {
+            const reader = entry.blob.stream().getReader();
+            for (;;) {
+                const { done: finished, value } = await reader.read();
+                if (finished) break;
+                crc = computeCrc32(value, crc);
+            }
+        }
+        
+        const name = encoder.encode(entry.path);
+        if (offset + 30 + name.length + body.size > 0xFFFFFFFF) {
+            throw new Error('ZIPが4GBを超えます。分割サイズを指定してください');
+        }
+        
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, UTF8_FLAG, true);
+        header.setUint16(8, method, true);
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, body.size, true);
+        header.setUint32(22, entry.blob.size, true);
+        header.setUint16(26, name.length, true);
+        // ファイルごとにBlobにしておき、ZIP全体を1つの配列としてメモリに持たない
+        parts.push(new Blob([header, name, body]));
+        records.push({ name, header, offset });
+        offset += 30 + name.length + body.size;
+        
+        done += entry.blob.size;
+        if (onProgress) onProgress(done);
+    }
+    
+    // セントラルディレクトリ（バージョン〜ファイル名の長さはローカルヘッダーと同じ内容を2バイトずらして写す）
+    let directorySize = 0;
+    records.forEach(({ name, header, offset: localOffset }) => {
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014b50, true);
+        record.setUint16(4, 20, true);
+        for (let i = 4; i < 30; i++) {
+            record.setUint8(i + 2, header.getUint8(i));
+        }
+        record.setUint32(42, localOffset, true);
+        parts.push(new Blob([record, name]));
+        directorySize += 46 + name.length;
+    });
+    
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, records.length, true);
+    end.setUint16(10, records.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    parts.push(new Blob([end]));
+    
+    return new Blob(parts, { type: 'application/zip' });
+}
+
+/**
+ * ZIP生成用Workerの処理
+ */
+function zipWorkerMain() {
+    self.onmessage = async (event) => {
+        const { entries, compression } = event.data;
+        try {
+            const blob = await writeZipArchive(entries, compression, (done) => {
+                self.postMessage({ type: 'progress', done });
+            });
+            self.postMessage({ type: 'done', blob });
+        } catch (error) {
+            self.postMessage({ type: 'error', error: error.message || String(error) });
+        }
+    };
+}
+
+/**
+ * ZIPを生成（Workerが使えない場合はメインスレッドで生成）
+ */
+function generateZipArchive(entries, compression, onProgress) {
+    let worker = null;
+    let workerUrl = null;
+    if (typeof Worker === 'function') {
+        try {
+            // file://で開いた場合も動くよう、別ファイルではなくBlob URLからWorkerを作る
+            const source = [writeZipArchive, computeCrc32].map(fn => fn.toString()).join('\n') +
+                `\n(${zipWorkerMain.toString()})();`;
+            workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            worker = new Worker(workerUrl);
+        } catch (error) {
+            console.warn('ZIP生成用Workerを起動できませんでした:', error);
+            if (workerUrl) URL.revokeObjectURL(workerUrl);
+            worker = null;
+        }
+    }
+    
+    if (!worker) {
+        return writeZipArchive(entries, compression, onProgress, () => ZipExportState.cancelled)
+            .catch(error => {
+                throw ZipExportState.cancelled ? new Error(ZIP_CANCELLED_MESSAGE) : error;
+            });
+    }
+    
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            worker.terminate();
+            URL.revokeObjectURL(workerUrl);
+            ZipExportState.worker = null;
+            ZipExportState.cancelWorker = null;
+        };
+        
+        ZipExportState.worker = worker;
+        ZipExportState.cancelWorker = () => {
+            cleanup();
+            reject(new Error(ZIP_CANCELLED_MESSAGE));
+        };
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                onProgress(message.done);
+            } else if (message.type === 'done') {
+                cleanup();
+                resolve(message.blob);
+            } else {
+                cleanup();
+                reject(new Error(message.error));
+            }
+        };
+        worker.onerror = (event) => {
+            cleanup();
+            reject(new Error(event.message || 'ZIP生成用Workerでエラーが発生しました'));
+        };
+        worker.postMessage({ entries, compression });
+    });
+}
+
+/**
+ * ZIP生成の開始（進捗バーと中止ボタンを表示）
+ */
+function startZipExport() {
+    ZipExportState.running = true;
+    ZipExportState.cancelled = false;
+    document.getElementById('downloadButton').disabled = true;
+    document.getElementById('zipProgress').hidden = false;
+    updateZipProgress(0);
+    renderZipPartList([]);
+}
+
+/**
+ * 分割したZIPの保存ボタンを表示（parts: { content, filename }、空なら非表示）
+ */
+function renderZipPartList(parts) {
+    const list = document.getElementById('zipPartList');
+    list.innerHTML = '';
+    parts.forEach(({ content, filename }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary btn-small';
+        button.textContent = `💾 ${filename}（${formatBytes(content.size)}）`;
+        button.addEventListener('click', () => {
+            saveAs(content, filename);
+            button.classList.add('saved');
+            button.textContent = `✅ ${filename}（${formatBytes(content.size)}）`;
+        });
+        list.appendChild(button);
+    });
+    list.hidden = parts.length === 0;
+}
+
+/**
+ * ZIP生成の終了
+ */
+function finishZipExport() {
+    ZipExportState.running = false;
+    document.getElementById('zipProgress').hidden = true;
+    updateDownloadButton();
+}
+
+/**
+ * 進捗バーを更新（ratio: 0〜1）
+ */
+function updateZipProgress(ratio) {
+    document.getElementById('zipProgressBar').value = Math.round(ratio * 100);
+}
+
+/**
+ * ZIP生成を中止
+ */
+function cancelZipExport() {
+    if (!ZipExportState.running) return;
+    ZipExportState.cancelled = true;
+    if (ZipExportState.cancelWorker) {
+        ZipExportState.cancelWorker();
+    }
+}
+
+/**
+ * ZIPの形式の設定フォームを初期化
+ */
+function initializeZipOptionsForm() {
+    const layoutSelect = document.getElementById('zipLayoutSelect');
+    Object.entries(ZIP_LAYOUTS).forEach(([value, layout]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = layout.label;
+        layoutSelect.appendChild(option);
+    });
+    syncZipOptionsForm();
+    
+    ['zipLayoutSelect', 'zipCompressionSelect', 'zipSplitSelect', 'embedMetadataCheckbox'].forEach(id => {
+        document.getElementById(id).addEventListener('change', handleZipOptionsInput);
+    });
+    document.getElementById('cancelZipButton').addEventListener('click', cancelZipExport);
+}
+
+/**
+ * ZIPの形式の入力欄に現在の設定を反映
+ */
+function syncZipOptionsForm() {
+    const zipOptions = { ...DEFAULT_ZIP_OPTIONS, ...AppState.settings.zipOptions };
+    document.getElementById('zipLayoutSelect').value = zipOptions.layout;
+    document.getElementById('zipCompressionSelect').value = zipOptions.compression;
+    document.getElementById('zipSplitSelect').value = String(zipOptions.splitMb);
+    document.getElementById('embedMetadataCheckbox').checked = zipOptions.embedMetadata;
+}
+
+/**
+ * ZIPの形式の変更を保存
+ */
+function handleZipOptionsInput() {
+    AppState.settings.zipOptions = {
+        layout: document.getElementById('zipLayoutSelect').value,
+        compression: document.getElementById('zipCompressionSelect').value,
+        splitMb: Number(document.getElementById('zipSplitSelect').value),
+        embedMetadata: document.getElementById('embedMetadataCheckbox').checked
+    };
+    saveSettings();
+}
+
+// ============================================
+// 画像の取り込み（フォルダ・ドラッグ＆ドロップ）
+// ============================================
+
+// 画像ごとの識別キー（別フォルダの同名ファイルを区別するため、ファイル名の代わりに使う）
+const fileKeys = new WeakMap();
+
+// ドラッグ中の dragenter / dragleave の入れ子を数える
+let dragDepth = 0;
+
+/**
+ * 画像の識別キーを取得（処理済みレコード等はこのキーで管理する）
+ * フォルダから読み込んだ画像は相対パス、それ以外はファイル名
+ */
+function getFileKey(file) {
+    return fileKeys.get(file) || file.name;
+}
+
+/**
+ * 読み込む画像に識別キーを割り当てる
+ * 既存のキーと重なる場合は「IMG_0001 (2).JPG」のように番号を付け、
+ * 追加時は名前・サイズ・更新日時が既存の画像と同じものを読み込み済みとしてスキップする
+ * （今回読み込む画像どうしは、別のフォルダにある同じ写真も残して重複チェックに任せる）
+ * 戻り値: { files, skipped }（skipped はスキップした画像のパス）
+ */
+function assignFileKeys(entries, existingFiles) {
+    const usedKeys = new Set(existingFiles.map(getFileKey));
+    const signatures = new Set(existingFiles.map(getFileSignature));
+    const files = [];
+    const skipped = [];
+    
+    entries.forEach(({ file, path }) => {
+        if (signatures.has(getFileSignature(file))) {
+            skipped.push(path || file.name);
+            return;
+        }
+        
+        const key = createUniqueKey(path || file.name, usedKeys);
+        usedKeys.add(key);
+        if (key === file.name) {
+            fileKeys.delete(file);
+        } else {
+            fileKeys.set(file, key);
+        }
+        files.push(file);
+    });
+    
+    return { files, skipped };
+}
+
+/**
+ * 同じ画像の二重読み込みを見分けるための値
+ */
+function getFileSignature(file) {
+    return `${file.name}|${file.size}|${file.lastModified}`;
+}
+
+/**
+ * 使用済みのキーと重ならないキーを作る（拡張子の前に「 (2)」「 (3)」…を付ける）
+ */
+function createUniqueKey(key, usedKeys) {
+    if (!usedKeys.has(key)) return key;
+    
+    const dotIndex = key.lastIndexOf('.');
+    const hasExtension = dotIndex > key.lastIndexOf('/') + 1;
+    const base = hasExtension ? key.slice(0, dotIndex) : key;
+    const extension = hasExtension ? key.slice(dotIndex) : '';
+    
+    let counter = 2;
+    while (usedKeys.has(`${base} (${counter})${extension}`)) {
+        counter++;
+    }
+    return `${base} (${counter})${extension}`;
+}
+
+/**
+ * 取り込み対象の画像か（フォルダ内の隠しファイルや画像以外を除く）
+ */
+function isImportableImage(file) {
+    if (file.name.startsWith('.')) return false;
+    return isImageFilename(file.name) || file.type.startsWith('image/');
+}
+
+/**
+ * ドロップされたファイル・フォルダを再帰的に集める
+ * DataTransfer の内容はイベント処理中しか読めないため、エントリーは最初に同期的に取り出す
+ */
+async function collectDroppedFiles(dataTransfer) {
+    const roots = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+    
+    if (roots.length === 0 || roots.some(entry => !entry)) {
+        return Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+    }
+    
+    const entries = [];
+    for (const root of roots) {
+        await collectEntryFiles(root, entries);
+    }
+    return entries;
+}
+
+/**
+ * ファイルシステムのエントリーからファイルを集める（フォルダは中を再帰的にたどる）
+ */
+async function collectEntryFiles(entry, entries) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        entries.push({ file, path: entry.fullPath.replace(/^\//, '') });
+        return;
+    }
+    if (!entry.isDirectory || entry.name.startsWith('.')) return;
+    
+    const reader = entry.createReader();
+    // readEntries は一度に全件を返さないため、空になるまで繰り返し読む
+    for (;;) {
+        const children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (children.length === 0) break;
+        for (const child of children) {
+            await collectEntryFiles(child, entries);
+        }
+    }
+}
+
+/**
+ * ファイルのドラッグかどうか（ページ内のテキスト等のドラッグは対象外）
+ */
+function isFileDrag(event) {
+    return Array.from(event.dataTransfer?.types || []).includes('Files');
+}
+
+/**
+ * ページ全体へのドロップで画像を読み込む
+ */
+async function handleImageDrop(event) {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    document.getElementById('dropOverlay').hidden = true;
+    
+    try {
+        const entries = await collectDroppedFiles(event.dataTransfer);
+        await importImageFiles(entries);
+    } catch (error) {
+        updateStatus('imageStatus', `❌ エラー: ${error.message}`, 'error');
+        console.error(error);
+    }
+}
+
+/**
+ * 画像の取り込み（追加モード・ドラッグ＆ドロップ）の初期化
+ */
+function initializeImageImport() {
+    const appendCheckbox = document.getElementById('appendImagesCheckbox');
+    appendCheckbox.checked = AppState.settings.appendImages;
+    appendCheckbox.addEventListener('change', () => {
+        AppState.settings.appendImages = appendCheckbox.checked;
+        saveSettings();
+    });
+    
+    const overlay = document.getElementById('dropOverlay');
+    document.addEventListener('dragenter', (event) => {
+        if (!isFileDrag(event)) return;
+        dragDepth++;
+        overlay.hidden = false;
+    });
+    document.addEventListener('dragleave', (event) => {
+        if (!isFileDrag(event)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) overlay.hidden = true;
+    });
+    document.addEventListener('dragover', (event) => {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    });
+    document.addEventListener('drop', handleImageDrop);
+}
+
+// ============================================
+// 元に戻す・やり直し（変更履歴）
+// ============================================
+
+// 保持する履歴の件数（古いものから捨てる）
+const MAX_HISTORY_ENTRIES = 100;
+
+const HistoryState = {
+    undoStack: [], // { label, time, snapshot }（snapshot は変更前の状態）
+    redoStack: [], // { label, time, snapshot }（snapshot は元に戻す前の状態）
+    typingTarget: null // フォーカス後に文字を入力した欄
+};
+
+/**
+ * 現在のバッチとレコード、ステップ3のフォームの状態を写し取る
+ */
+function captureHistorySnapshot() {
+    return {
+        imageFiles: [...AppState.imageFiles],
+        currentIndex: AppState.currentIndex,
+        processedFiles: new Map(Array.from(AppState.processedFiles, ([key, data]) => [key, { ...data, fields: { ...data.fields } }])),
+        draftFields: new Map(Array.from(AppState.draftFields, ([key, fields]) => [key, { ...fields }])),
+        skippedFiles: new Set(AppState.skippedFiles),
+        excludedFiles: new Set(AppState.excludedFiles),
+        // 編集内容は置き換えるだけで書き換えないため、Mapの写しで足りる
+        imageEdits: new Map(AppState.imageEdits),
+        formValues: AppState.isReady ? getFormValues() : null
+    };
+}
+
+/**
+ * 変更を履歴に積む（before は変更前に captureHistorySnapshot で取った状態）
+ */
+function pushHistory(label, before) {
+    HistoryState.undoStack.push({ label, time: new Date(), snapshot: before });
+    if (HistoryState.undoStack.length > MAX_HISTORY_ENTRIES) {
+        HistoryState.undoStack.shift();
+    }
+    HistoryState.redoStack = [];
+    renderHistoryPanel();
+}
+
+/**
+ * 履歴をすべて消す（セッションの再開時など）
+ */
+function clearHistory() {
+    HistoryState.undoStack = [];
+    HistoryState.redoStack = [];
+    renderHistoryPanel();
+}
+
+/**
+ * 直前の変更を元に戻す
+ */
+function undoHistory() {
+    const entry = HistoryState.undoStack.pop();
+    if (!entry) return false;
+    
+    HistoryState.redoStack.push({ label: entry.label, time: entry.time, snapshot: captureHistorySnapshot() });
+    restoreHistorySnapshot(entry.snapshot);
+    updateStatus('downloadStatus', `↶ 元に戻しました: ${entry.label}`, 'info');
+    return true;
+}
+
+/**
+ * 元に戻した変更をやり直す
+ */
+function redoHistory() {
+    const entry = HistoryState.redoStack.pop();
+    if (!entry) return false;
+    
+    HistoryState.undoStack.push({ label: entry.label, time: entry.time, snapshot: captureHistorySnapshot() });
+    restoreHistorySnapshot(entry.snapshot);
+    updateStatus('downloadStatus', `↷ やり直しました: ${entry.label}`, 'info');
+    return true;
+}
+
+/**
+ * 写し取った状態に戻し、画面とセッションの保存内容を更新
+ */
+function restoreHistorySnapshot(snapshot) {
+    const imagesChanged = snapshot.imageFiles.length !== AppState.imageFiles.length ||
+        snapshot.imageFiles.some((file, index) => file !== AppState.imageFiles[index]);
+    
+    AppState.imageFiles = [...snapshot.imageFiles];
+    AppState.currentIndex = Math.min(snapshot.currentIndex, Math.max(AppState.imageFiles.length - 1, 0));
+    AppState.processedFiles = new Map(Array.from(snapshot.processedFiles, ([key, data]) => {
+        // ファイル名の形式が後から変わっていても現在の形式で名前を作り直す
+        const record = { ...data, fields: { ...data.fields } };
+        record.newName = recordBaseName(record);
+        return [key, record];
+    }));
+    AppState.draftFields = new Map(Array.from(snapshot.draftFields, ([key, fields]) => [key, { ...fields }]));
+    AppState.skippedFiles = new Set(snapshot.skippedFiles);
+    AppState.excludedFiles = new Set(snapshot.excludedFiles);
+    AppState.imageEdits = new Map(snapshot.imageEdits);
+    closeImageEditor();
+    
+    if (imagesChanged) {
+        document.getElementById('imageFileName').textContent = `${AppState.imageFiles.length}個のファイルを選択`;
+        saveSessionImages().catch(error => console.warn('セッションの保存に失敗しました:', error));
+        checkDuplicatePhotos().catch(error => console.warn('重複・類似写真のチェックに失敗しました:', error));
+    }
+    checkReadyState();
+    
+    if (AppState.isReady) {
+        if (!document.getElementById('gridSection').hidden) {
+            renderGrid();
+        } else {
+            displayCurrentImage();
+            updateNavigationButtons();
+            if (snapshot.formValues) {
+                setFormValues(snapshot.formValues);
+                updatePairPreview();
+            } else {
+                syncFormWithCurrentImage();
+            }
+        }
+    }
+    
+    renderBatchStatus();
+    renderDuplicatePanel(findDuplicateGroups());
+    updateDownloadButton();
+    saveSessionState();
+    renderHistoryPanel();
+}
+
+/**
+ * 履歴パネルの開閉
+ */
+function toggleHistoryPanel() {
+    const panel = document.getElementById('historyPanel');
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) {
+        renderHistoryPanel();
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * 履歴パネルを描画（古い順に並べ、元に戻した変更は薄く表示）
+ */
+function renderHistoryPanel() {
+    document.getElementById('undoButton').disabled = HistoryState.undoStack.length === 0;
+    document.getElementById('redoButton').disabled = HistoryState.redoStack.length === 0;
+    
+    const list = document.getElementById('historyList');
+    list.innerHTML = '';
+    
+    if (HistoryState.undoStack.length === 0 && HistoryState.redoStack.length === 0) {
+        list.innerHTML = '<li class="placeholder-text">まだ変更はありません</li>';
+        return;
+    }
+    
+    HistoryState.undoStack.forEach((entry, index) => {
+        // クリックすると、この変更より後をすべて元に戻す（この変更は残す）
+        const steps = HistoryState.undoStack.length - 1 - index;
+        list.appendChild(createHistoryItem(entry, 'history-done', steps > 0 ? () => repeatHistory(undoHistory, steps) : null));
+    });
+    
+    const current = document.createElement('li');
+    current.className = 'history-current';
+    current.textContent = '▶ 現在の状態';
+    list.appendChild(current);
+    
+    [...HistoryState.redoStack].reverse().forEach((entry, index) => {
+        list.appendChild(createHistoryItem(entry, 'history-undone', () => repeatHistory(redoHistory, index + 1)));
+    });
+}
+
+/**
+ * 履歴の1行を作成
+ */
+function createHistoryItem(entry, className, onClick) {
+    const item = document.createElement('li');
+    item.className = className;
+    
+    const time = document.createElement('span');
+    time.className = 'history-time';
+    time.textContent = entry.time.toLocaleTimeString('ja-JP');
+    item.appendChild(time);
+    item.appendChild(document.createTextNode(entry.label));
+    
+    if (onClick) {
+        item.classList.add('clickable');
+        item.title = 'この時点の状態に戻す';
+        item.addEventListener('click', onClick);
+    }
+    return item;
+}
+
+/**
+ * 元に戻す／やり直しを指定回数くり返す
+ */
+function repeatHistory(step, count) {
+    for (let i = 0; i < count; i++) {
+        if (!step()) break;
+    }
+}
+
+/**
+ * Ctrl+Z（元に戻す）と Ctrl+Shift+Z / Ctrl+Y（やり直し）
+ * 文字を入力している途中の欄では、ブラウザ標準の入力の取り消しを優先する
+ */
+function handleHistoryKeys(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return false;
+    
+    const key = event.key.toLowerCase();
+    const isUndo = key === 'z' && !event.shiftKey;
+    const isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+    if (!isUndo && !isRedo) return false;
+    
+    if (event.target === HistoryState.typingTarget && isTextField(event.target)) return false;
+    
+    event.preventDefault();
+    if (isUndo) {
+        undoHistory();
+    } else {
+        redoHistory();
+    }
+    return true;
+}
+
+/**
+ * 文字入力欄かどうか
+ */
+function isTextField(element) {
+    return element instanceof HTMLTextAreaElement ||
+        (element instanceof HTMLInputElement && !['checkbox', 'radio', 'button', 'file'].includes(element.type));
+}
+
+/**
+ * 変更履歴の初期化
+ */
+function initializeHistory() {
+    document.getElementById('historyButton').addEventListener('click', toggleHistoryPanel);
+    document.getElementById('closeHistoryButton').addEventListener('click', toggleHistoryPanel);
+    document.getElementById('undoButton').addEventListener('click', undoHistory);
+    document.getElementById('redoButton').addEventListener('click', redoHistory);
+    
+    // 適用直後など、まだ何も入力していない欄では Ctrl+Z を履歴の取り消しに使う
+    document.addEventListener('focusin', () => {
+        HistoryState.typingTarget = null;
+    });
+    document.addEventListener('input', (event) => {
+        HistoryState.typingTarget = event.target;
+    });
+    renderHistoryPanel();
+}
+
+// ============================================
+// 画像へのメタデータ埋め込み（EXIF・XMP・PNGテキストチャンク）
+// ============================================
+
+// XMPでこのアプリの項目に使う名前空間
+const LCA_XMP_NAMESPACE = 'urn:image-renamer-lca:record:1.0';
+// JPEGのAPP1でXMPを示す識別子
+const JPEG_XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+// PNGのテキストチャンクのキーワード
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const PNG_DESCRIPTION_KEYWORD = 'Description';
+const PNG_RECORD_KEYWORD = 'ImageRenamerLCA';
+// JPEGのセグメントの最大長（長さフィールドの2バイトを含む）
+const MAX_JPEG_SEGMENT_BYTES = 0xFFFF;
+
+// 埋め込む項目（XMPの要素名とJSONのキーを兼ねる）
+const EMBEDDED_RECORD_KEYS = [
+    'fileName', 'number', 'implementer', 'implementerId', 'partName', 'weight', 'unit',
+    'materialCategory', 'material', 'materialId', 'processing', 'processingId', 'photoType', 'notes'
+];
+
+/**
+ * 処理済みレコードから埋め込む内容を作る（名前とIDの両方を持たせる）
+ */
+function buildEmbeddedRecord(data, filename) {
+    const fields = data.fields;
+    return {
+        fileName: filename,
+        number: String(fields.number),
+        implementer: fields.implementer,
+        implementerId: AppState.implementers[fields.implementer] || '',
+        partName: fields.partName,
+        weight: fields.weight,
+        unit: fields.unit,
+        materialCategory: fields.materialCategory,
+        material: fields.material,
+        materialId: AppState.materialNameToId[fields.material] || '',
+        processing: fields.processing,
+        processingId: AppState.processingMethods[fields.processing] || '',
+        photoType: fields.photoType,
+        notes: fields.notes
+    };
+}
+
+/**
+ * 画像の説明欄（EXIFのImageDescriptionなど）に入れる読みやすい文
+ */
+function describeEmbeddedRecord(record) {
+    const withId = (name, id) => id ? `${name} (${id})` : name;
+    return [
+        `番号: ${record.number}`,
+        `部品名: ${record.partName}`,
+        `重量: ${record.weight} ${record.unit}`,
+        `素材: ${withId(record.material, record.materialId)}`,
+        `加工: ${withId(record.processing, record.processingId)}`,
+        `実施者: ${withId(record.implementer, record.implementerId)}`,
+        `写真区分: ${PHOTO_TYPE_LABELS[record.photoType] || record.photoType}`,
+        `特記事項: ${NOTES_LABELS[record.notes] || record.notes}`
+    ].join(' / ');
+}
+
+/**
+ * 出力する画像に入力内容を埋め込む
+ * 画素データには手を加えず、メタデータ部分だけを差し替える。未対応の形式は null
+ */
+async function embedRecordMetadata(blob, record) {
+    const signature = new Uint8Array(await blob.slice(0, 8).arrayBuffer());
+    if (signature[0] === 0xFF && signature[1] === 0xD8) {
+        return embedJpegMetadata(blob, record);
+    }
+    if (readBytesAscii(signature, 1, 3) === 'PNG') {
+        return embedPngMetadata(blob, record);
+    }
+    return null;
+}
+
+/**
+ * バイト列からASCII文字列を読む
+ */
+function readBytesAscii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+/**
+ * バイト列を連結
+ */
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// ------------------------------
+// XMP
+// ------------------------------
+
+/**
+ * XMPの特殊文字をエスケープ
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 既存のXMPパケットに入力内容を加える（以前に埋め込んだ内容は置き換える）
+ */
+function buildXmpPacket(record, existingPacket) {
+    // 他のソフトが書いた説明は残し、説明がない場合だけ dc:description を加える
+    const base = (existingPacket || '').replace(
+        new RegExp(`[ \\t]*<rdf:Description[^>]*xmlns:lca="${LCA_XMP_NAMESPACE}"[\\s\\S]*?</rdf:Description>\\n?`), '');
+    const hasDescription = /dc:description/.test(base);
+    
+    const properties = EMBEDDED_RECORD_KEYS
+        .map(key => `   <lca:${key}>${escapeXml(record[key] ?? '')}</lca:${key}>`)
+        .join('\n');
+    const description = hasDescription ? '' :
+        `   <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(describeEmbeddedRecord(record))}</rdf:li></rdf:Alt></dc:description>\n`;
+    const block = `  <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:lca="${LCA_XMP_NAMESPACE}">\n` +
+        `${description}${properties}\n  </rdf:Description>\n`;
+    
+    if (base.includes('</rdf:RDF>')) {
+        // 入力値に $ が含まれても置換パターンとして解釈されないよう関数で置き換える
+        return base.replace(/[ \t]*<\/rdf:RDF>/, closing => `${block}${closing}`);
+    }
+    return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n' +
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">\n' +
+        ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n' +
+        `${block} </rdf:RDF>\n` +
+        '</x:xmpmeta>\n' +
+        '<?xpacket end="w"?>';
+}
+
+/**
+ * XMPパケットから埋め込んだ入力内容を読む
+ */
+function parseXmpRecord(packet) {
+    if (!packet.includes(LCA_XMP_NAMESPACE)) return null;
+    
+    const doc = new DOMParser().parseFromString(packet.replace(/^[^<]*/, ''), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) return null;
+    
+    const record = {};
+    EMBEDDED_RECORD_KEYS.forEach(key => {
+        const element = doc.getElementsByTagNameNS(LCA_XMP_NAMESPACE, key)[0];
+        if (element) record[key] = element.textContent;
+    });
+    return Object.keys(record).length > 0 ? record : null;
+}
+
+// ------------------------------
+// JPEG（EXIF・XMP）
+// ------------------------------
+
+/**
+ * JPEGの画像データ（SOS）より前のセグメントを列挙（APP1は中身も読む）
+ */
+async function readJpegSegments(blob) {
+    const segments = [];
+    let offset = 2;
+    while (offset + 4 <= blob.size) {
+        const header = new DataView(await blob.slice(offset, offset + 4).arrayBuffer());
+        const marker = header.getUint16(0);
+        // マーカーでない、または画像データ（SOS）に到達したら終了
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+        
+        const end = offset + 2 + header.getUint16(2);
+        const segment = { marker, start: offset, end, kind: 'other' };
+        if (marker === 0xFFE1) {
+            segment.data = new Uint8Array(await blob.slice(offset + 4, end).arrayBuffer());
+            if (readBytesAscii(segment.data, 0, 6) === 'Exif\0\0') {
+                segment.kind = 'exif';
+            } else if (readBytesAscii(segment.data, 0, JPEG_XMP_HEADER.length) === JPEG_XMP_HEADER) {
+                segment.kind = 'xmp';
+            }
+        }
+        segments.push(segment);
+        offset = end;
+    }
+    return { segments, dataStart: offset };
+}
+
+/**
+ * JPEGのAPPセグメントを作る（大きすぎる場合は null）
+ */
+function createJpegSegment(marker, payload) {
+    if (payload.length + 2 > MAX_JPEG_SEGMENT_BYTES) return null;
+    const header = new Uint8Array(4);
+    new DataView(header.buffer).setUint16(0, marker);
+    new DataView(header.buffer).setUint16(2, payload.length + 2);
+    return concatBytes([header, payload]);
+}
+
+/**
+ * JPEGにEXIF（ImageDescription・UserComment）とXMPを埋め込む
+ */
+async function embedJpegMetadata(blob, record) {
+    const { segments, dataStart } = await readJpegSegments(blob);
+    const encoder = new TextEncoder();
+    
+    const exifSegment = segments.find(segment => segment.kind === 'exif');
+    const xmpSegment = segments.find(segment => segment.kind === 'xmp');
+    
+    const tiff = buildExifTiff(exifSegment ? exifSegment.data.subarray(6) : null, record);
+    const newExif = tiff && createJpegSegment(0xFFE1, concatBytes([encoder.encode('Exif\0\0'), tiff]));
+    const packet = buildXmpPacket(record, xmpSegment ? new TextDecoder().decode(xmpSegment.data.subarray(JPEG_XMP_HEADER.length)) : '');
+    const newXmp = createJpegSegment(0xFFE1, concatBytes([encoder.encode(JPEG_XMP_HEADER), encoder.encode(packet)]));
+    
+    // 既存のEXIF・XMPは同じ位置で置き換え、ない場合はJFIF（APP0）またはEXIFの直後に加える
+    const parts = [blob.slice(0, 2)];
+    let insertAt = 1;
+    segments.forEach(segment => {
+        if (segment === exifSegment) {
+            parts.push(newExif || blob.slice(segment.start, segment.end));
+            insertAt = parts.length;
+        } else if (segment === xmpSegment) {
+            parts.push(newXmp || blob.slice(segment.start, segment.end));
+        } else {
+            parts.push(blob.slice(segment.start, segment.end));
+            if (segment.marker === 0xFFE0 && insertAt === parts.length - 1) insertAt = parts.length;
+        }
+    });
+    
+    const additions = [];
+    if (!exifSegment && newExif) additions.push(newExif);
+    if (!xmpSegment && newXmp) additions.push(newXmp);
+    parts.splice(insertAt, 0, ...additions);
+    parts.push(blob.slice(dataStart));
+    
+    return new Blob(parts, { type: 'image/jpeg' });
+}
+
+/**
+ * EXIF（TIFF構造）にImageDescriptionとUserCommentを加える
+ * 既存のデータはそのまま残し、末尾に新しいIFD0とExif IFDを追加して参照先を付け替える
+ * （既存のオフセットが変わらないため、メーカーノートなども壊れない）
+ */
+function buildExifTiff(existing, record) {
+    let base = existing;
+    if (!base || base.length < 8 || !['II', 'MM'].includes(readBytesAscii(base, 0, 2))) {
+        // EXIFがない場合は空のIFD0だけのTIFFから始める
+        base = new Uint8Array([0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+    }
+    const little = base[0] === 0x49;
+    const view = new DataView(base.buffer, base.byteOffset, base.byteLength);
+    
+    const readIfd = (offset) => {
+        if (!offset || offset + 2 > base.length) return { entries: [], next: 0 };
+        const count = view.getUint16(offset, little);
+        const entries = [];
+        for (let i = 0; i < count && offset + 2 + (i + 1) * 12 <= base.length; i++) {
+            const start = offset + 2 + i * 12;
+            entries.push({ tag: view.getUint16(start, little), bytes: base.slice(start, start + 12) });
+        }
+        const nextOffset = offset + 2 + count * 12;
+        const next = nextOffset + 4 <= base.length ? view.getUint32(nextOffset, little) : 0;
+        return { entries, next };
+    };
+    
+    const ifd0 = readIfd(view.getUint32(4, little));
+    const exifPointer = ifd0.entries.find(entry => entry.tag === 0x8769);
+    const exifIfd = exifPointer
+        ? readIfd(new DataView(exifPointer.bytes.buffer).getUint32(8, little))
+        : { entries: [], next: 0 };
+    
+    // UserCommentは先頭8バイトで文字コードを示す（UNICODEはTIFFのバイト順のUTF-16）
+    const description = concatBytes([new TextEncoder().encode(describeEmbeddedRecord(record)), new Uint8Array(1)]);
+    const json = JSON.stringify(record);
+    const comment = new Uint8Array(8 + json.length * 2);
+    comment.set(new TextEncoder().encode('UNICODE\0'));
+    const commentView = new DataView(comment.buffer);
+    for (let i = 0; i < json.length; i++) {
+        commentView.setUint16(8 + i * 2, json.charCodeAt(i), little);
+    }
+    
+    const align = (length) => length + (length % 2);
+    const descriptionOffset = align(base.length);
+    const commentOffset = align(descriptionOffset + description.length);
+    const exifOffset = align(commentOffset + comment.length);
+    const exifEntries = exifIfd.entries.filter(entry => entry.tag !== 0x9286);
+    const ifd0Offset = exifOffset + 2 + (exifEntries.length + 1) * 12 + 4;
+    const ifd0Entries = ifd0.entries.filter(entry => entry.tag !== 0x010E && entry.tag !== 0x8769);
+    const totalLength = ifd0Offset + 2 + (ifd0Entries.length + 2) * 12 + 4;
+    // APP1に収まらない場合は埋め込まない（XMPのみ）
+    if (totalLength + 10 > MAX_JPEG_SEGMENT_BYTES) return null;
+    
+    const result = new Uint8Array(totalLength);
+    const out = new DataView(result.buffer);
+    result.set(base);
+    result.set(description, descriptionOffset);
+    result.set(comment, commentOffset);
+    
+    const createEntry = (tag, type, count, value) => {
+        const bytes = new Uint8Array(12);
+        const entry = new DataView(bytes.buffer);
+        entry.setUint16(0, tag, little);
+        entry.setUint16(2, type, little);
+        entry.setUint32(4, count, little);
+        entry.setUint32(8, value, little);
+        return { tag, bytes };
+    };
+    const writeIfd = (offset, entries, next) => {
+        entries.sort((a, b) => a.tag - b.tag);
+        out.setUint16(offset, entries.length, little);
+        entries.forEach((entry, i) => result.set(entry.bytes, offset + 2 + i * 12));
+        out.setUint32(offset + 2 + entries.length * 12, next, little);
+    };
+    
+    // 型: 2=ASCII, 4=LONG, 7=UNDEFINED
+    writeIfd(exifOffset, [...exifEntries, createEntry(0x9286, 7, comment.length, commentOffset)], exifIfd.next);
+    writeIfd(ifd0Offset, [
+        ...ifd0Entries,
+        createEntry(0x010E, 2, description.length, descriptionOffset),
+        createEntry(0x8769, 4, 1, exifOffset)
+    ], ifd0.next);
+    out.setUint32(4, ifd0Offset, little);
+    
+    return result;
+}
+
+/**
+ * EXIFのUserCommentから埋め込んだ入力内容を読む
+ */
+function parseExifRecord(tiff) {
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const little = view.getUint16(0) === 0x4949;
+    
+    const findEntry = (ifdOffset, tag) => {
+        if (!ifdOffset || ifdOffset + 2 > tiff.length) return null;
+        const count = view.getUint16(ifdOffset, little);
+        for (let i = 0; i < count; i++) {
+            const entry = ifdOffset + 2 + i * 12;
+            if (entry + 12 > tiff.length) break;
+            if (view.getUint16(entry, little) === tag) return entry;
+        }
+        return null;
+    };
+    
+    const pointer = findEntry(view.getUint32(4, little), 0x8769);
+    const entry = pointer !== null ? findEntry(view.getUint32(pointer + 8, little), 0x9286) : null;
+    if (entry === null) return null;
+    
+    const length = view.getUint32(entry + 4, little);
+    const offset = view.getUint32(entry + 8, little);
+    if (length <= 8 || offset + length > tiff.length || readBytesAscii(tiff, offset, 8) !== 'UNICODE\0') return null;
+    
+    let text = '';
+    for (let i = offset + 8; i + 1 < offset + length; i += 2) {
+        text += String.fromCharCode(view.getUint16(i, little));
+    }
+    return parseRecordJson(text);
+}
+
+/**
+ * JSONで埋め込んだ入力内容を読む（このアプリの形式でなければ null）
+ */
+function parseRecordJson(text) {
+    try {
+        const record = JSON.parse(text);
+        return record && typeof record === 'object' && 'number' in record && 'partName' in record ? record : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ------------------------------
+// PNG（テキストチャンク）
+// ------------------------------
+
+/**
+ * CRC32（PNGのチャンク・ZIPのエントリ・重複確認の代用ハッシュで共通）
+ * crc に前の部分の結果を渡すと続きから計算する（大きなファイルを少しずつ読む場合）
+ * ZIP生成用Worker内でも実行するため、この関数の外の変数や関数を参照しないこと
+ */
+function computeCrc32(bytes, crc = 0) {
+    let table = computeCrc32.table;
+    if (!table) {
+        table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        computeCrc32.table = table;
+    }
+    
+    let value = (crc ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        value = table[(value ^ bytes[i]) & 0xFF] ^ (value >>> 8);
+    }
+    return (value ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * PNGのチャンクを作る
+ */
+function createPngChunk(type, data) {
+    const body = concatBytes([new TextEncoder().encode(type), data]);
+    const chunk = new Uint8Array(body.length + 8);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(body, 4);
+    view.setUint32(body.length + 4, computeCrc32(body));
+    return chunk;
+}
+
+/**
+ * iTXtチャンク（UTF-8のテキスト）を作る
+ */
+function createPngITxtChunk(keyword, text) {
+    const encoder = new TextEncoder();
+    // キーワード\0 圧縮フラグ 圧縮方式 言語タグ\0 翻訳キーワード\0 テキスト
+    return createPngChunk('iTXt', concatBytes([encoder.encode(keyword), new Uint8Array([0, 0, 0, 0, 0]), encoder.encode(text)]));
+}
+
+/**
+ * tEXtチャンク（Latin-1のテキスト）を作る
+ */
+function createPngTextChunk(keyword, text) {
+    return createPngChunk('tEXt', new TextEncoder().encode(`${keyword}\0${text}`));
+}
+
+/**
+ * PNGの画像データ（IDAT）より前のチャンクを列挙（テキストチャンクは中身も読む）
+ */
+async function readPngChunks(blob) {
+    const chunks = [];
+    let offset = 8;
+    while (offset + 8 <= blob.size) {
+        const header = new DataView(await blob.slice(offset, offset + 8).arrayBuffer());
+        const length = header.getUint32(0);
+        const type = String.fromCharCode(header.getUint8(4), header.getUint8(5), header.getUint8(6), header.getUint8(7));
+        if (type === 'IDAT' || type === 'IEND') break;
+        
+        const end = offset + 12 + length;
+        const chunk = { type, start: offset, end };
+        if (type === 'tEXt' || type === 'iTXt') {
+            chunk.data = new Uint8Array(await blob.slice(offset + 8, offset + 8 + length).arrayBuffer());
+            const separator = chunk.data.indexOf(0);
+            chunk.keyword = readBytesAscii(chunk.data, 0, separator < 0 ? chunk.data.length : separator);
+        }
+        chunks.push(chunk);
+        offset = end;
+    }
+    return { chunks, dataStart: offset };
+}
+
+/**
+ * iTXtチャンクのテキスト部分を読む（圧縮されたものは対象外）
+ */
+function readPngITxt(data) {
+    let offset = data.indexOf(0) + 1;
+    if (offset <= 0 || data[offset] !== 0) return '';
+    offset += 2;
+    offset = data.indexOf(0, offset) + 1; // 言語タグ
+    offset = data.indexOf(0, offset) + 1; // 翻訳キーワード
+    return offset > 0 ? new TextDecoder().decode(data.subarray(offset)) : '';
+}
+
+/**
+ * PNGにiTXt（説明・XMP）とtEXt（JSON）を埋め込む
+ */
+async function embedPngMetadata(blob, record) {
+    const { chunks, dataStart } = await readPngChunks(blob);
+    const xmpChunk = chunks.find(chunk => chunk.type === 'iTXt' && chunk.keyword === PNG_XMP_KEYWORD);
+    const replacedKeywords = [PNG_XMP_KEYWORD, PNG_DESCRIPTION_KEYWORD, PNG_RECORD_KEYWORD];
+    
+    // tEXtはLatin-1のため、JSONの日本語は \uXXXX に置き換えてASCIIだけにする
+    const json = JSON.stringify(record).replace(/[\u0080-\uFFFF]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+    const additions = [
+        createPngITxtChunk(PNG_DESCRIPTION_KEYWORD, describeEmbeddedRecord(record)),
+        createPngITxtChunk(PNG_XMP_KEYWORD, buildXmpPacket(record, xmpChunk ? readPngITxt(xmpChunk.data) : '')),
+        createPngTextChunk(PNG_RECORD_KEYWORD, json)
+    ];
+    
+    const parts = [blob.slice(0, 8)];
+    chunks.forEach(chunk => {
+        if (chunk.keyword && replacedKeywords.includes(chunk.keyword)) return;
+        parts.push(blob.slice(chunk.start, chunk.end));
+    });
+    parts.push(...additions, blob.slice(dataStart));
+    
+    return new Blob(parts, { type: 'image/png' });
+}
+
+// ------------------------------
+// 再読み込み時の読み取り
+// ------------------------------
+
+/**
+ * 画像に埋め込まれた入力内容を読む（XMP → EXIF / tEXt の順に探す。なければ null）
+ */
+async function readEmbeddedRecord(file) {
+    const signature = new Uint8Array(await file.slice(0, 8).arrayBuffer());
+    
+    if (signature[0] === 0xFF && signature[1] === 0xD8) {
+        const { segments } = await readJpegSegments(file);
+        const xmp = segments.find(segment => segment.kind === 'xmp');
+        const fromXmp = xmp && parseXmpRecord(new TextDecoder().decode(xmp.data.subarray(JPEG_XMP_HEADER.length)));
+        if (fromXmp) return fromXmp;
+        const exif = segments.find(segment => segment.kind === 'exif');
+        return exif ? parseExifRecord(exif.data.subarray(6)) : null;
+    }
+    
+    if (readBytesAscii(signature, 1, 3) === 'PNG') {
+        const { chunks } = await readPngChunks(file);
+        const xmp = chunks.find(chunk => chunk.type === 'iTXt' && chunk.keyword === PNG_XMP_KEYWORD);
+        const fromXmp = xmp && parseXmpRecord(readPngITxt(xmp.data));
+        if (fromXmp) return fromXmp;
+        const text = chunks.find(chunk => chunk.type === 'tEXt' && chunk.keyword === PNG_RECORD_KEYWORD);
+        return text ? parseRecordJson(new TextDecoder().decode(text.data.subarray(PNG_RECORD_KEYWORD.length + 1))) : null;
+    }
+    
+    return null;
+}
+
+/**
+ * 埋め込まれた入力内容を、ファイル名を解析した値と同じ形にする（IDがあればIDで引き当てる）
+ */
+function embeddedRecordToValues(record) {
+    const values = {
+        number: record.number,
+        part: record.partName,
+        weight: record.weight,
+        unit: record.unit,
+        photoType: record.photoType,
+        notes: record.notes
+    };
+    [['implementer', 'implementerId'], ['material', 'materialId'], ['processing', 'processingId']].forEach(([nameKey, idKey]) => {
+        if (record[idKey]) {
+            values[idKey] = record[idKey];
+        } else {
+            values[nameKey] = record[nameKey] ?? '';
+        }
+    });
+    return values;
+}
+
+// ============================================
+// 重複・類似写真の検出
+// ============================================
+
+// 知覚ハッシュ（dHash、64ビット）の違いがこのビット数以下なら、ほぼ同じ写真とみなす
+// P/Mのペアのように同じ部品を続けて撮った写真を誤って拾わないよう、小さめにしている
+const SIMILAR_PHOTO_MAX_DISTANCE = 4;
+
+// 画像ごとのハッシュ（File -> { content, perceptual }）
+const photoHashes = new WeakMap();
+
+const DuplicatePhotoState = {
+    running: false,
+    groups: [] // [{ files, exact }]（exact: すべて内容が同一）
+};
+
+/**
+ * ファイル内容のハッシュ（SHA-256。使えない環境ではCRC32とサイズで代用）
+ */
+async function computeContentHash(file) {
+    const buffer = await file.arrayBuffer();
+    if (window.crypto && window.crypto.subtle) {
+        const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    return `${computeCrc32(new Uint8Array(buffer)).toString(16)}-${buffer.byteLength}`;
+}
+
+/**
+ * 知覚ハッシュ（dHash）を計算（ブラウザで表示できない形式は null）
+ * 9×8に縮小したグレースケール画像で、左右に隣り合う画素の明るさの大小を64ビットにする
+ */
+async function computePerceptualHash(file) {
+    if (typeof createImageBitmap !== 'function') return null;
+    
+    try {
+        const bitmap = await createImageBitmap(file, { resizeWidth: 9, resizeHeight: 8, resizeQuality: 'high' });
+        const canvas = document.createElement('canvas');
+        canvas.width = 9;
+        canvas.height = 8;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        
+        const { data } = ctx.getImageData(0, 0, 9, 8);
+        const luminance = (x, y) => {
+            const i = (y * 9 + x) * 4;
+            return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+        };
+        
+        let hash = 0n;
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+                hash = (hash << 1n) | (luminance(x, y) > luminance(x + 1, y) ? 1n : 0n);
+            }
+        }
+        return hash;
+    } catch (error) {
+        // HEICなどブラウザが直接デコードできない形式は内容の一致だけを調べる
+        return null;
+    }
+}
+
+/**
+ * 2つの知覚ハッシュの違い（異なるビットの数）
+ */
+function getHashDistance(a, b) {
+    let diff = a ^ b;
+    let count = 0;
+    while (diff) {
+        diff &= diff - 1n;
+        count++;
+    }
+    return count;
+}
+
+/**
+ * 読み込んだ画像のハッシュを順に計算し、重複の可能性がある写真をまとめる
+ * 計算中に画像が追加された場合も続けて処理する
+ */
+async function checkDuplicatePhotos() {
+    DuplicatePhotoState.groups = findDuplicatePhotoGroups();
+    if (DuplicatePhotoState.running) return;
+    DuplicatePhotoState.running = true;
+    
+    try {
+        for (;;) {
+            const pending = AppState.imageFiles.filter(file => !photoHashes.has(file));
+            if (pending.length === 0) break;
+            
+            const done = AppState.imageFiles.length - pending.length;
+            updateStatus('duplicatePhotoStatus', `🔍 重複写真を確認中... (${done + 1}/${AppState.imageFiles.length})`, 'info');
+            
+            const file = pending[0];
+            try {
+                photoHashes.set(file, {
+                    content: await computeContentHash(file),
+                    perceptual: await computePerceptualHash(file)
+                });
+            } catch (error) {
+                console.warn('重複確認のための読み込みに失敗しました:', getFileKey(file), error);
+                photoHashes.set(file, { content: null, perceptual: null });
+            }
+        }
+    } finally {
+        DuplicatePhotoState.running = false;
+    }
+    
+    DuplicatePhotoState.groups = findDuplicatePhotoGroups();
+    const flagged = getFlaggedDuplicateGroups();
+    updateStatus('duplicatePhotoStatus', flagged.length > 0
+        ? `⚠️ 重複の可能性がある写真が${flagged.length}組あります`
+        : (AppState.imageFiles.length > 0 ? '✅ 重複した写真は見つかりませんでした' : ''), flagged.length > 0 ? 'info' : 'success');
+    renderFilmstrip();
+}
+
+/**
+ * 内容が同一、または知覚ハッシュが近い画像をグループにまとめる
+ */
+function findDuplicatePhotoGroups() {
+    const entries = AppState.imageFiles
+        .map(file => ({ file, hash: photoHashes.get(file) }))
+        .filter(entry => entry.hash && (entry.hash.content || entry.hash.perceptual !== null));
+    
+    // Union-Find で、つながった画像を1つのグループにする
+    const parent = entries.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            const a = entries[i].hash;
+            const b = entries[j].hash;
+            const sameContent = a.content && a.content === b.content;
+            const similar = a.perceptual !== null && b.perceptual !== null &&
+                getHashDistance(a.perceptual, b.perceptual) <= SIMILAR_PHOTO_MAX_DISTANCE;
+            if (sameContent || similar) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+    
+    const groups = new Map();
+    entries.forEach((entry, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(entry.file);
+    });
+    
+    return Array.from(groups.values())
+        .filter(files => files.length > 1)
+        .map(files => ({
+            files,
+            exact: files.every(file => photoHashes.get(file).content === photoHashes.get(files[0]).content)
+        }));
+}
+
+/**
+ * 除外していない写真が2枚以上残っているグループ（要確認のもの）
+ */
+function getFlaggedDuplicateGroups() {
+    const currentFiles = new Set(AppState.imageFiles);
+    return DuplicatePhotoState.groups.filter(group =>
+        group.files.filter(file => currentFiles.has(file) && !AppState.excludedFiles.has(getFileKey(file))).length > 1);
+}
+
+/**
+ * 重複の可能性がある（除外していない）写真の一覧
+ */
+function getFlaggedDuplicateFiles() {
+    const files = new Set();
+    getFlaggedDuplicateGroups().forEach(group => {
+        group.files
+            .filter(file => !AppState.excludedFiles.has(getFileKey(file)))
+            .forEach(file => files.add(file));
+    });
+    return files;
+}
+
+/**
+ * 重複グループの説明
+ */
+function getDuplicateGroupLabel(group) {
+    return group.exact ? '同一の写真' : 'ほぼ同じ写真';
+}
+
+/**
+ * 表示中の画像に重複の可能性がある写真を知らせる
+ */
+function renderDuplicatePhotoHint() {
+    const hint = document.getElementById('duplicatePhotoHint');
+    hint.innerHTML = '';
+    
+    const file = AppState.imageFiles[AppState.currentIndex];
+    const group = file && getFlaggedDuplicateFiles().has(file)
+        ? getFlaggedDuplicateGroups().find(item => item.files.includes(file))
+        : null;
+    hint.hidden = !group;
+    if (!group) return;
+    
+    hint.appendChild(document.createTextNode(`⚠️ ${getDuplicateGroupLabel(group)}があります: `));
+    group.files
+        .filter(other => other !== file && !AppState.excludedFiles.has(getFileKey(other)))
+        .forEach(other => hint.appendChild(createDuplicatePhotoLink(other)));
+    
+    const excludeButton = document.createElement('button');
+    excludeButton.className = 'btn btn-secondary btn-small';
+    excludeButton.textContent = '🚫 この画像を除外';
+    excludeButton.addEventListener('click', () => toggleFileExcluded(file));
+    hint.appendChild(excludeButton);
+}
+
+/**
+ * 重複の可能性がある写真の一覧（ステップ2）
+ */
+function renderDuplicatePhotoReport() {
+    const report = document.getElementById('duplicatePhotoReport');
+    report.innerHTML = '';
+    report.classList.remove('has-errors');
+    
+    const groups = getFlaggedDuplicateGroups();
+    if (groups.length === 0) {
+        report.style.display = 'none';
+        return;
+    }
+    
+    report.classList.add('has-errors');
+    const title = document.createElement('p');
+    title.className = 'report-title';
+    title.textContent = `⚠️ 重複の可能性がある写真 (${groups.length}組) - 残さない方を除外してください`;
+    report.appendChild(title);
+    
+    const list = document.createElement('ul');
+    groups.forEach(group => {
+        const item = document.createElement('li');
+        item.appendChild(document.createTextNode(`${getDuplicateGroupLabel(group)}: `));
+        group.files.forEach(file => {
+            const excluded = AppState.excludedFiles.has(getFileKey(file));
+            const entry = document.createElement('span');
+            entry.className = excluded ? 'duplicate-photo excluded' : 'duplicate-photo';
+            entry.appendChild(createDuplicatePhotoLink(file));
+            
+            const button = document.createElement('button');
+            button.className = 'link-button';
+            button.textContent = excluded ? '除外を取り消す' : '除外';
+            button.addEventListener('click', () => toggleFileExcluded(file));
+            entry.appendChild(button);
+            item.appendChild(entry);
+        });
+        list.appendChild(item);
+    });
+    report.appendChild(list);
+    report.style.display = 'block';
+}
+
+/**
+ * 画像へ移動するリンク
+ */
+function createDuplicatePhotoLink(file) {
+    const index = AppState.imageFiles.indexOf(file);
+    const link = document.createElement('button');
+    link.className = 'link-button';
+    link.textContent = `${index + 1}: ${getFileKey(file)}`;
+    link.title = 'この画像を表示';
+    link.addEventListener('click', () => goToImage(index));
+    return link;
+}
+
+// ============================================
+// 画像の回転・トリミング（出力時に適用する編集）
+// ============================================
+
+// 傾き補正の範囲（度）
+const MAX_STRAIGHTEN_DEGREES = 15;
+
+// 編集中のプレビューの長辺（大きな写真でも操作が重くならないよう縮小して描く）
+const EDIT_PREVIEW_MAX_DIMENSION = 1600;
+
+// 縮小しない設定で編集を適用するときのJPEG・WebPの画質（%）
+const EDITED_IMAGE_QUALITY = 92;
+
+// これより小さいトリミング範囲（全体に対する割合）はドラッグの誤操作とみなす
+const MIN_CROP_SIZE = 0.02;
+
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+const DEFAULT_IMAGE_EDIT = { rotation: 0, straighten: 0, crop: null };
+
+const ImageEditorState = {
+    file: null, // 編集中の画像
+    aspect: 'free', // トリミングの比率（free / original / 4:3 など）
+    straightenBefore: null, // 傾き補正のスライダーを動かし始める前の状態（履歴用）
+    drag: null, // トリミング範囲のドラッグ状態
+    frame: null, // 回転・傾き補正後の画像の大きさ（比率の計算用）
+    sourceFile: null, // 読み込み済みの画像（ImageBitmap）の元ファイル
+    source: null
+};
+
+/**
+ * 回転・傾き補正・トリミング後の大きさを計算
+ * 傾き補正で四隅に余白が出ないよう、元の縦横比のまま内側へ切り詰めた範囲（frame）を基準にする
+ * Worker内でも実行するため、この関数の外の変数や関数を参照しないこと
+ */
+function getEditedSize(width, height, edit) {
+    const rotation = edit ? edit.rotation : 0;
+    const angle = edit ? edit.straighten * Math.PI / 180 : 0;
+    const baseWidth = rotation % 180 === 0 ? width : height;
+    const baseHeight = rotation % 180 === 0 ? height : width;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    const zoom = Math.min(baseWidth / (baseWidth * cos + baseHeight * sin), baseHeight / (baseWidth * sin + baseHeight * cos));
+    const frameWidth = baseWidth * zoom;
+    const frameHeight = baseHeight * zoom;
+    const crop = (edit && edit.crop) || { x: 0, y: 0, width: 1, height: 1 };
+    return { frameWidth, frameHeight, crop, width: frameWidth * crop.width, height: frameHeight * crop.height };
+}
+
+/**
+ * 編集を適用した画像を width × height いっぱいに描く
+ * Worker内でも実行するため、getEditedSize以外の外の変数や関数を参照しないこと
+ */
+function drawEditedImage(ctx, source, edit, width, height) {
+    const size = getEditedSize(source.width, source.height, edit);
+    ctx.save();
+    ctx.scale(width / size.width, height / size.height);
+    // トリミング範囲の左上を原点とし、回転の中心を切り詰めた範囲の中心に置く
+    ctx.translate(size.frameWidth * (0.5 - size.crop.x), size.frameHeight * (0.5 - size.crop.y));
+    ctx.rotate(edit ? (edit.rotation + edit.straighten) * Math.PI / 180 : 0);
+    ctx.drawImage(source, -source.width / 2, -source.height / 2);
+    ctx.restore();
+}
+
+/**
+ * 画像の編集内容（未編集なら既定値）
+ */
+function getImageEdit(file) {
+    return AppState.imageEdits.get(getFileKey(file)) || DEFAULT_IMAGE_EDIT;
+}
+
+/**
+ * 編集されているか（回転・傾き補正・トリミングのいずれか）
+ */
+function isImageEdited(edit) {
+    return Boolean(edit && (edit.rotation || edit.straighten || edit.crop));
+}
+
+/**
+ * 編集内容を保存（未編集に戻った場合は削除）
+ * 履歴の写しと共有するため、保存済みの編集内容は書き換えずに置き換える
+ */
+function setImageEdit(file, edit) {
+    const crop = edit.crop;
+    // 全体を覆うトリミング範囲はトリミングなしと同じ
+    const fullCrop = crop && crop.x <= 0.001 && crop.y <= 0.001 && crop.width >= 0.999 && crop.height >= 0.999;
+    const normalized = { rotation: edit.rotation, straighten: edit.straighten, crop: fullCrop ? null : crop };
+    
+    if (isImageEdited(normalized)) {
+        AppState.imageEdits.set(getFileKey(file), normalized);
+    } else {
+        AppState.imageEdits.delete(getFileKey(file));
+    }
+}
+
+/**
+ * 2つの編集内容が同じか
+ */
+function isSameImageEdit(a, b) {
+    return a.rotation === b.rotation && a.straighten === b.straighten && isSameCrop(a.crop, b.crop);
+}
+
+/**
+ * 2つのトリミング範囲が同じか（どちらもnullなら同じ）
+ */
+function isSameCrop(a, b) {
+    if (!a || !b) return a === b;
+    return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+}
+
+/**
+ * 編集中の画像の編集内容を変更
+ * labelを渡すと1回の操作として履歴に積む（ドラッグやスライダーの途中は渡さず、操作の終わりに積む）
+ */
+function updateImageEdit(change, label = null) {
+    const file = ImageEditorState.file;
+    if (!file) return;
+    
+    const before = label ? captureHistorySnapshot() : null;
+    const previous = getImageEdit(file);
+    setImageEdit(file, change(previous));
+    if (label && !isSameImageEdit(getImageEdit(file), previous)) {
+        pushHistory(`${label}（${getFileKey(file)}）`, before);
+    }
+    renderEditSummary();
+}
+
+/**
+ * 編集内容の説明（例: 右に90°回転・傾き +1.5°・トリミング）
+ */
+function describeImageEdit(edit) {
+    const parts = [];
+    if (edit.rotation === 90) parts.push('右に90°回転');
+    if (edit.rotation === 180) parts.push('180°回転');
+    if (edit.rotation === 270) parts.push('左に90°回転');
+    if (edit.straighten) parts.push(`傾き ${edit.straighten > 0 ? '+' : ''}${edit.straighten}°`);
+    if (edit.crop) parts.push('トリミング');
+    return parts.join('・');
+}
+
+/**
+ * プレビュー下の編集ボタンの横に、表示中の画像の編集内容を表示
+ */
+function renderEditSummary() {
+    const file = AppState.imageFiles[AppState.currentIndex];
+    const edit = file ? AppState.imageEdits.get(getFileKey(file)) : null;
+    document.getElementById('editSummary').textContent = edit ? `編集あり: ${describeImageEdit(edit)}（出力時に適用）` : '';
+}
+
+/**
+ * 編集用に画像を読み込む（表示中の画像の分だけ保持し、HEICはJPEGに変換してから読む）
+ */
+async function loadEditSource(file) {
+    if (ImageEditorState.sourceFile === file) return ImageEditorState.source;
+    
+    let source = null;
+    try {
+        const blob = isHeicFile(file) ? await decodeHeicToJpeg(file) : file;
+        // createImageBitmapはEXIFの向きを適用するため、出力時と同じ向きになる
+        if (blob) source = await createImageBitmap(blob);
+    } catch (error) {
+        console.warn('編集用に画像を読み込めませんでした:', getFileKey(file), error);
+    }
+    
+    // 読み込み中に別の画像へ移った場合は捨てる
+    if (AppState.imageFiles[AppState.currentIndex] !== file) {
+        if (source) source.close();
+        return null;
+    }
+    if (ImageEditorState.source) ImageEditorState.source.close();
+    ImageEditorState.sourceFile = file;
+    ImageEditorState.source = source;
+    return source;
+}
+
+/**
+ * 編集結果をプレビューに描く（編集中はトリミング前の全体とトリミング範囲の枠を表示）
+ * 戻り値: 描けたかどうか
+ */
+async function renderEditedPreview(file) {
+    const source = await loadEditSource(file);
+    if (AppState.imageFiles[AppState.currentIndex] !== file) return false;
+    
+    const preview = document.getElementById('imagePreview');
+    if (ImageEditorState.file === file) {
+        setCropControlsEnabled(Boolean(source));
+    }
+    if (!source) {
+        preview.innerHTML = `<div class="placeholder"><span class="placeholder-icon">⚠️</span><p>編集結果をプレビューできません<br><small>このブラウザでは画像をデコードできませんでした。<br>回転・トリミングはZIP保存時に適用を試みます。</small></p></div>`;
+        return false;
+    }
+    
+    const editing = ImageEditorState.file === file;
+    const edit = getImageEdit(file);
+    const drawn = editing ? { ...edit, crop: null } : edit;
+    const size = getEditedSize(source.width, source.height, drawn);
+    const scale = Math.min(1, EDIT_PREVIEW_MAX_DIMENSION / Math.max(size.width, size.height));
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(size.width * scale));
+    canvas.height = Math.max(1, Math.round(size.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    drawEditedImage(ctx, source, drawn, canvas.width, canvas.height);
+    
+    const stage = document.createElement('div');
+    stage.className = 'edit-stage';
+    stage.appendChild(canvas);
+    if (editing) {
+        ImageEditorState.frame = size;
+        stage.classList.add('editing');
+        stage.appendChild(createCropBox());
+        stage.addEventListener('pointerdown', handleCropPointerDown);
+        stage.addEventListener('pointermove', handleCropPointerMove);
+        stage.addEventListener('pointerup', handleCropPointerUp);
+        stage.addEventListener('pointercancel', handleCropPointerUp);
+    }
+    preview.replaceChildren(stage);
+    updateCropBox();
+    return true;
+}
+
+/**
+ * トリミング範囲の枠（四隅のつまみ付き）
+ */
+function createCropBox() {
+    const box = document.createElement('div');
+    box.className = 'crop-box';
+    ['nw', 'ne', 'sw', 'se'].forEach(handle => {
+        const knob = document.createElement('span');
+        knob.className = `crop-handle crop-handle-${handle}`;
+        knob.dataset.handle = handle;
+        box.appendChild(knob);
+    });
+    return box;
+}
+
+/**
+ * トリミング範囲の枠を編集内容の位置に合わせる
+ */
+function updateCropBox() {
+    const box = document.querySelector('#imagePreview .crop-box');
+    if (!box || !ImageEditorState.file) return;
+    
+    const crop = getImageEdit(ImageEditorState.file).crop || FULL_CROP;
+    box.style.left = `${crop.x * 100}%`;
+    box.style.top = `${crop.y * 100}%`;
+    box.style.width = `${crop.width * 100}%`;
+    box.style.height = `${crop.height * 100}%`;
+}
+
+/**
+ * トリミング範囲の縦横比（画像全体に対する割合での幅 / 高さ。自由ならnull）
+ * 縦長の画像では 4:3 などの比率も縦向き（3:4）にする
+ */
+function getCropRatio(aspect, frame) {
+    if (aspect === 'original') return 1;
+    const match = /^(\d+):(\d+)$/.exec(aspect);
+    if (!match || !frame) return null;
+    
+    let ratio = Number(match[1]) / Number(match[2]);
+    if (frame.frameHeight > frame.frameWidth) ratio = 1 / ratio;
+    return ratio * frame.frameHeight / frame.frameWidth;
+}
+
+/**
+ * 範囲内に収まる、指定の比率で最大のトリミング範囲（中央寄せ）
+ */
+function fitCropToRatio(crop, ratio) {
+    const area = crop || FULL_CROP;
+    let width = area.width;
+    let height = width / ratio;
+    if (height > area.height) {
+        height = area.height;
+        width = height * ratio;
+    }
+    return { x: area.x + (area.width - width) / 2, y: area.y + (area.height - height) / 2, width, height };
+}
+
+/**
+ * 固定した角（anchor）からポインターの位置までのトリミング範囲（比率の指定があれば合わせる）
+ */
+function getCropFromPoints(anchor, point, ratio) {
+    let width = Math.abs(point.x - anchor.x);
+    let height = Math.abs(point.y - anchor.y);
+    if (ratio) {
+        // 大きい方の辺に合わせ、画像の外にはみ出す分は縮める
+        const maxWidth = point.x >= anchor.x ? 1 - anchor.x : anchor.x;
+        const maxHeight = point.y >= anchor.y ? 1 - anchor.y : anchor.y;
+        width = Math.min(Math.max(width, height * ratio), maxWidth, maxHeight * ratio);
+        height = width / ratio;
+    }
+    return {
+        x: point.x >= anchor.x ? anchor.x : anchor.x - width,
+        y: point.y >= anchor.y ? anchor.y : anchor.y - height,
+        width,
+        height
+    };
+}
+
+/**
+ * 90度回転したときのトリミング範囲（step: 90 で右回り、-90 で左回り）
+ */
+function rotateCrop(crop, step) {
+    if (!crop) return null;
+    if (step > 0) {
+        return { x: 1 - crop.y - crop.height, y: crop.x, width: crop.height, height: crop.width };
+    }
+    return { x: crop.y, y: 1 - crop.x - crop.width, width: crop.height, height: crop.width };
+}
+
+/**
+ * ポインターの位置（画像全体に対する割合、0〜1）
+ */
+function getCropPoint(event, stage) {
+    const rect = stage.getBoundingClientRect();
+    return {
+        x: Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1),
+        y: Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1)
+    };
+}
+
+/**
+ * トリミング範囲のドラッグ開始（つまみで大きさの変更、枠内で移動、枠外で新しく範囲を選ぶ）
+ */
+function handleCropPointerDown(event) {
+    if (!ImageEditorState.file || event.button !== 0) return;
+    
+    const stage = event.currentTarget;
+    const point = getCropPoint(event, stage);
+    const initial = getImageEdit(ImageEditorState.file).crop;
+    const crop = initial || FULL_CROP;
+    const handle = event.target.dataset.handle;
+    
+    if (handle) {
+        // 掴んだ角の対角を固定する
+        const anchor = {
+            x: handle.includes('w') ? crop.x + crop.width : crop.x,
+            y: handle.includes('n') ? crop.y + crop.height : crop.y
+        };
+        ImageEditorState.drag = { mode: 'resize', anchor, initial };
+    } else if (event.target.classList.contains('crop-box') && initial) {
+        ImageEditorState.drag = { mode: 'move', start: point, initial };
+    } else {
+        ImageEditorState.drag = { mode: 'resize', anchor: point, initial };
+    }
+    // ドラッグ全体を1回の変更として履歴に積むため、始める前の状態を取っておく
+    ImageEditorState.drag.before = captureHistorySnapshot();
+    stage.setPointerCapture(event.pointerId);
+    event.preventDefault();
+}
+
+/**
+ * トリミング範囲のドラッグ中
+ */
+function handleCropPointerMove(event) {
+    const drag = ImageEditorState.drag;
+    if (!drag) return;
+    
+    const point = getCropPoint(event, event.currentTarget);
+    let crop;
+    if (drag.mode === 'move') {
+        const start = drag.initial;
+        crop = {
+            ...start,
+            x: Math.min(Math.max(start.x + point.x - drag.start.x, 0), 1 - start.width),
+            y: Math.min(Math.max(start.y + point.y - drag.start.y, 0), 1 - start.height)
+        };
+    } else {
+        crop = getCropFromPoints(drag.anchor, point, getCropRatio(ImageEditorState.aspect, ImageEditorState.frame));
+    }
+    updateImageEdit(edit => ({ ...edit, crop }));
+    updateCropBox();
+}
+
+/**
+ * トリミング範囲のドラッグ終了（小さすぎる範囲はドラッグ前に戻す）
+ */
+function handleCropPointerUp() {
+    const drag = ImageEditorState.drag;
+    if (!drag) return;
+    ImageEditorState.drag = null;
+    
+    const crop = getImageEdit(ImageEditorState.file).crop;
+    if (crop && (crop.width < MIN_CROP_SIZE || crop.height < MIN_CROP_SIZE)) {
+        updateImageEdit(edit => ({ ...edit, crop: drag.initial }));
+        updateCropBox();
+    }
+    if (!isSameCrop(getImageEdit(ImageEditorState.file).crop, drag.initial)) {
+        pushHistory(`トリミング範囲を変更（${getFileKey(ImageEditorState.file)}）`, drag.before);
+        saveSessionState();
+    }
+}
+
+/**
+ * 表示中の画像の編集を始める
+ */
+function openImageEditor() {
+    const file = AppState.imageFiles[AppState.currentIndex];
+    if (!file || !AppState.isReady) return;
+    
+    ImageEditorState.file = file;
+    ImageEditorState.aspect = 'free';
+    ImageEditorState.straightenBefore = null;
+    ImageEditorState.drag = null;
+    // 画像を描くまで比率の計算に使う大きさがないため、トリミングの操作は無効にしておく
+    ImageEditorState.frame = null;
+    setCropControlsEnabled(false);
+    document.getElementById('cropAspectSelect').value = 'free';
+    document.getElementById('imageEditor').hidden = false;
+    document.getElementById('editImageButton').disabled = true;
+    syncImageEditorControls();
+    displayCurrentImage();
+}
+
+/**
+ * 編集を終える（プレビューの描き直しは呼び出し側で行う）
+ */
+function closeImageEditor() {
+    if (!ImageEditorState.file) return;
+    
+    ImageEditorState.file = null;
+    ImageEditorState.straightenBefore = null;
+    ImageEditorState.drag = null;
+    ImageEditorState.frame = null;
+    document.getElementById('imageEditor').hidden = true;
+    document.getElementById('editImageButton').disabled = !AppState.isReady;
+}
+
+/**
+ * トリミングの比率・解除の操作を有効/無効にする（画像を読み込めない場合は無効）
+ */
+function setCropControlsEnabled(enabled) {
+    document.getElementById('cropAspectSelect').disabled = !enabled;
+    document.getElementById('clearCropButton').disabled = !enabled;
+}
+
+/**
+ * 傾き補正のスライダーを編集内容に合わせる
+ */
+function syncImageEditorControls() {
+    const edit = getImageEdit(ImageEditorState.file);
+    document.getElementById('straightenInput').value = edit.straighten;
+    document.getElementById('straightenValue').textContent = `${edit.straighten > 0 ? '+' : ''}${edit.straighten}°`;
+}
+
+/**
+ * 90度回転（トリミング範囲も一緒に回す）
+ */
+function rotateImageEdit(step) {
+    updateImageEdit(edit => ({ ...edit, rotation: (edit.rotation + step + 360) % 360, crop: rotateCrop(edit.crop, step) }), '画像を回転');
+    renderEditedPreview(ImageEditorState.file);
+    saveSessionState();
+}
+
+/**
+ * 傾き補正の変更（スライダーを動かしている間）
+ */
+function handleStraightenInput(event) {
+    if (!ImageEditorState.file) return;
+    if (!ImageEditorState.straightenBefore) {
+        ImageEditorState.straightenBefore = captureHistorySnapshot();
+    }
+    const value = Math.min(Math.max(Number(event.target.value) || 0, -MAX_STRAIGHTEN_DEGREES), MAX_STRAIGHTEN_DEGREES);
+    updateImageEdit(edit => ({ ...edit, straighten: value }));
+    syncImageEditorControls();
+    renderEditedPreview(ImageEditorState.file);
+}
+
+/**
+ * 傾き補正の確定（スライダーを離したとき）で履歴に積む
+ */
+function handleStraightenChange() {
+    const before = ImageEditorState.straightenBefore;
+    ImageEditorState.straightenBefore = null;
+    if (!before || !ImageEditorState.file) return;
+    
+    const key = getFileKey(ImageEditorState.file);
+    if (!isSameImageEdit(before.imageEdits.get(key) || DEFAULT_IMAGE_EDIT, getImageEdit(ImageEditorState.file))) {
+        pushHistory(`傾きを補正（${key}）`, before);
+        saveSessionState();
+    }
+}
+
+/**
+ * トリミングの比率の変更（今の範囲に収まる最大の範囲にする）
+ */
+function handleCropAspectChange(event) {
+    ImageEditorState.aspect = event.target.value;
+    const ratio = getCropRatio(ImageEditorState.aspect, ImageEditorState.frame);
+    if (!ratio) return;
+    
+    updateImageEdit(edit => ({ ...edit, crop: fitCropToRatio(edit.crop, ratio) }), 'トリミングの比率を変更');
+    updateCropBox();
+    saveSessionState();
+}
+
+/**
+ * 画像エディターの初期化
+ */
+function initializeImageEditor() {
+    const straighten = document.getElementById('straightenInput');
+    straighten.min = -MAX_STRAIGHTEN_DEGREES;
+    straighten.max = MAX_STRAIGHTEN_DEGREES;
+    straighten.addEventListener('input', handleStraightenInput);
+    straighten.addEventListener('change', handleStraightenChange);
+    
+    document.getElementById('editImageButton').addEventListener('click', openImageEditor);
+    document.getElementById('rotateLeftButton').addEventListener('click', () => rotateImageEdit(-90));
+    document.getElementById('rotateRightButton').addEventListener('click', () => rotateImageEdit(90));
+    document.getElementById('cropAspectSelect').addEventListener('change', handleCropAspectChange);
+    document.getElementById('clearCropButton').addEventListener('click', () => {
+        updateImageEdit(edit => ({ ...edit, crop: null }), 'トリミングを解除');
+        updateCropBox();
+        saveSessionState();
+    });
+    document.getElementById('resetEditButton').addEventListener('click', () => {
+        updateImageEdit(() => DEFAULT_IMAGE_EDIT, '画像の編集をリセット');
+        syncImageEditorControls();
+        renderEditedPreview(ImageEditorState.file);
+        saveSessionState();
+    });
+    document.getElementById('closeEditorButton').addEventListener('click', () => {
+        closeImageEditor();
+        displayCurrentImage();
+    });
+}
@@ -0,0 +1,64 @@
+/**
+ * Image Renamer Pro - Web版
+ * Service Worker（オフライン対応）
+ * アプリ本体と同梱ライブラリをキャッシュし、ネットワークなしでも動作させる
+ */
+
+// ファイルを更新したらバージョンを上げて、古いキャッシュを入れ替える
+const CACHE_NAME = 'image-renamer-lca-v2';
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './guide.html',
+    './style.css',
+    './app.js',
+    './manifest.webmanifest',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './lib/xlsx.full.min.js',
+    './lib/jszip.min.js',
+    './lib/FileSaver.min.js',
+    './lib/heic2any.min.js',
+    './lib/libheif-bundle.js'
+];
+
+// インストール時にすべてのファイルをキャッシュ
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// 古いバージョンのキャッシュを削除
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// キャッシュを優先して返し、オンラインなら裏で最新版に更新する
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        const network = fetch(request)
+            .then(response => {
+                if (response.ok) cache.put(request, response.clone());
+                return response;
+            })
+            .catch(() => cached);
+        
+        if (cached) {
+            event.waitUntil(network);
+            return cached;
+        }
+        return network;
+    }));
+});